@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/*{id:msgpack.rpc.bench.js,ver:0.10,license:"MIT",author:"nori.0428@gmail.com"}*/
+
+// benchmark of receiving multi-MB responses
+//
+// usage: node msgpack.rpc.bench.js [-l msgpack.js] [rounds]
+//
+// a response is split into 64KB messages like websocket frames and
+// received by
+//   old: copy every byte of a message into an Array (to_chunk of
+//        the old recv_message) and feed it to msgpack.unpacker of
+//        the legacy msgpack library given by -l
+//   new: feed the messages to the streaming decoder of the built-in
+//        codec, which reads them in place
+// without -l, the old path can not run, so only the cost of the copy
+// is measured, which the new path does not have. it is not comparable
+// with the decode time of the new path.
+// rounds is 3 by default
+
+var path = require('path');
+var rpc = require(path.join(__dirname, 'msgpack.rpc.js'));
+
+var message_size = 65536;
+
+function now() {
+    var t = process.hrtime();
+
+    return t[0] * 1000 + t[1] / 1000000;
+}
+
+// old recv_message copied each message to an Array
+function to_chunk(data) {
+    var ary = new Uint8Array(data);
+    var chunk = [];
+
+    for (var i = 0, l = ary.length; i < l; i++) {
+        chunk[i] = ary[i];
+    }
+    return chunk;
+}
+
+function split(bytes) {
+    var msgs = [], i;
+
+    for (i = 0; i < bytes.length; i += message_size) {
+        msgs.push(bytes.slice(i, i + message_size).buffer);
+    }
+    return msgs;
+}
+
+function run_old(msgs, lib) {
+    var unpacker = new lib.unpacker(), obj, i;
+
+    for (i = 0; i < msgs.length; i++) {
+        unpacker.feed(to_chunk(msgs[i]));
+        obj = unpacker.unpack();
+    }
+    return obj;
+}
+
+function run_copy(msgs) {
+    for (var i = 0; i < msgs.length; i++) {
+        to_chunk(msgs[i]);
+    }
+}
+
+function run_new(msgs) {
+    var decoder = rpc.codec.decoder(), obj, i;
+
+    for (i = 0; i < msgs.length; i++) {
+        decoder.feed(msgs[i]);
+        obj = decoder.next();
+    }
+    return obj;
+}
+
+function cases() {
+    var rows = [], bins = [], i;
+
+    for (i = 0; i < 60000; i++) {
+        rows.push({id: i, name: 'name' + i, score: i * 0.5, tags: ['a', 'b']});
+    }
+    for (i = 0; i < 1000; i++) {
+        bins.push(new Uint8Array(4096));
+    }
+    return [{label: '60000 small maps', result: rows},
+            {label: '1000 4KB bins', result: bins}];
+}
+
+function main(argv) {
+    var lib, rounds = 3, list = cases(), bytes, msgs, t, t_old, t_new, i, r;
+
+    for (i = 0; i < argv.length; i++) {
+        if (argv[i] === '-l' && i + 1 < argv.length) {
+            lib = require(path.resolve(argv[++i]));
+            lib = (lib && lib.unpacker) ? lib : global.msgpack;
+        } else if (/^\d+$/.test(argv[i])) {
+            rounds = Number(argv[i]);
+        } else {
+            console.error('usage: node msgpack.rpc.bench.js [-l msgpack.js] [rounds]');
+            return 2;
+        }
+    }
+    if (!lib) {
+        console.log('copy of the old recv_message only, ' +
+                    'give -l msgpack.js to compare the old and new paths');
+    }
+    for (i = 0; i < list.length; i++) {
+        bytes = rpc.codec.encode([1, 0, null, list[i].result]);
+        msgs = split(bytes);
+        console.log((bytes.length / 1048576).toFixed(1) + 'MB result of ' +
+                    list[i].label + ' in ' + msgs.length + ' messages');
+        for (r = 0; r < rounds; r++) {
+            t = now();
+            if (!lib) {
+                run_copy(msgs);
+                console.log('  copy ' + (now() - t).toFixed(1) + 'ms');
+                continue;
+            }
+            run_old(msgs, lib);
+            t_old = now() - t;
+            t = now();
+            run_new(msgs);
+            t_new = now() - t;
+            console.log('  old ' + t_old.toFixed(1) + 'ms, new ' + t_new.toFixed(1) + 'ms');
+        }
+    }
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,423 @@
+/*{id:msgpack.rpc.d.ts,ver:0.10,license:"MIT",author:"nori.0428@gmail.com"}*/
+
+// TypeScript declarations of msgpack.rpc.js
+//
+// a service map is an interface of method name and function type,
+// which types call, notify, proxy and expose of a typed client:
+//
+//   interface Calc {
+//     add(a: number, b: number): number;
+//     'users.get'(id: number): {id: number, name: string};
+//   }
+//   interface CalcNotifications {
+//     tick(now: Date): void;
+//   }
+//   const client = new msgpack.rpc.client<Calc, CalcNotifications>(uri);
+//   client.call('add', [1, 2]).then(sum => ...);       // sum: number
+//   client.on('notify:tick', n => n.params[0]);         // Date
+
+declare namespace rpc {
+    // parameters and result of a method of a service map
+    type Params<F> = F extends (...params: infer P) => any ? P : any[];
+    type Result<F> = F extends (...params: any[]) => infer R ? Awaited<R> : any;
+    type MethodName<S> = keyof S & string;
+
+    // stubs of proxy, "a.b" is stubs.a.b
+    type Stub<F> = (...params: Params<F>) => Promise<Result<F>>;
+    type Head<K> = K extends `${infer H}.${string}` ? H : K;
+    type Below<S, H extends string> = {
+        [K in MethodName<S> as K extends `${H}.${infer T}` ? T : never]: S[K]
+    };
+    type Stubs<S> = {
+        [H in Head<MethodName<S>>]:
+            (H extends keyof S ? Stub<S[H]> : unknown) & Stubs<Below<S, H>>
+    };
+    // any stubs of an untyped client
+    type StubsOf<S> = 0 extends (1 & S) ? any : Stubs<S>;
+
+    type State = 'idle' | 'connecting' | 'open' | 'closing' | 'closed' |
+        'suspended' | 'reconnecting';
+
+    interface Notification<M extends string = string, P extends any[] = any[]> {
+        method: M;
+        params: P;
+    }
+
+    interface Response<R = any> {
+        // null if succeeded
+        error: RpcError | null;
+        result: R;
+    }
+
+    interface ClientEvent {
+        type: string;
+        [key: string]: any;
+    }
+    interface OpenEvent extends ClientEvent {
+        type: 'open';
+    }
+    interface CloseEvent extends ClientEvent {
+        type: 'close';
+        code?: number;
+        reason?: string;
+        wasClean?: boolean;
+    }
+    interface ErrorEvent extends ClientEvent {
+        type: 'error';
+        error?: any;
+    }
+    interface ReconnectingEvent extends ClientEvent {
+        type: 'reconnecting';
+        attempt: number;
+        delay: number;
+    }
+    interface ReconnectedEvent extends ClientEvent {
+        type: 'reconnected';
+        attempts: number;
+    }
+    interface GaveUpEvent extends ClientEvent {
+        type: 'gave_up';
+        attempts: number;
+    }
+    interface ProtocolErrorEvent extends ClientEvent {
+        type: 'protocol_error';
+        reason: string;
+        frame?: any;
+        error?: Error;
+    }
+    interface HandlerErrorEvent extends ClientEvent {
+        type: 'handler_error';
+        // notify handler
+        method?: string;
+        params?: any[];
+        // event listener
+        event?: string;
+        error: any;
+    }
+    interface StateChangeEvent extends ClientEvent {
+        type: 'statechange';
+        state: State;
+        previous: State;
+        code?: number;
+        reason?: string;
+        clean?: boolean;
+    }
+    interface KeepaliveEvent extends ClientEvent {
+        type: 'keepalive';
+        misses: number;
+        // undefined if missed
+        rtt: number | undefined;
+    }
+    interface ClientEvents {
+        open: OpenEvent;
+        close: CloseEvent;
+        error: ErrorEvent;
+        reconnecting: ReconnectingEvent;
+        reconnected: ReconnectedEvent;
+        gave_up: GaveUpEvent;
+        protocol_error: ProtocolErrorEvent;
+        handler_error: HandlerErrorEvent;
+        statechange: StateChangeEvent;
+        keepalive: KeepaliveEvent;
+        event: ClientEvent;
+    }
+
+    type NotificationOf<N, M extends MethodName<N> = MethodName<N>> =
+        M extends any ? Notification<M, Params<N[M]>> : never;
+
+    interface Callbacks<N = any> {
+        event?: (e: ClientEvent) => void;
+        notify?: (n: NotificationOf<N>) => void;
+    }
+
+    interface ReconnectOptions {
+        delay?: number;
+        multiplier?: number;
+        max_delay?: number;
+        jitter?: number;
+        max_attempts?: number;
+    }
+
+    interface KeepaliveOptions {
+        interval?: number;
+        timeout?: number;
+        max_misses?: number;
+        method?: string;
+        notify?: boolean;
+    }
+
+    // options of the built-in codec, ignored with options.codec
+    interface CodecOptions {
+        bigint?: 'always' | 'unsafe';
+        map_type?: 'object' | 'map' | 'auto';
+        typed_arrays?: boolean;
+        sets?: boolean;
+        raw?: 'string' | 'binary';
+    }
+
+    interface ClientOptions extends CodecOptions {
+        codec?: Codec;
+        normalize_error?: (error: any, method: string) => {
+            code?: any;
+            message?: any;
+            data?: any;
+        };
+        transport?: string | TransportFactory;
+        max_pending?: number;
+        overflow?: 'queue' | 'reject';
+        cancel_method?: string;
+        reconnect?: ReconnectOptions | boolean;
+        keepalive?: KeepaliveOptions | boolean;
+    }
+
+    interface ServerOptions extends CodecOptions {
+        codec?: Codec;
+    }
+
+    interface CallOptions {
+        timeout?: number;
+        signal?: AbortSignal;
+        idempotent?: boolean;
+    }
+
+    interface ProxyOptions extends CallOptions {
+        methods?: {[method: string]: CallOptions};
+    }
+
+    interface CallArgs<M extends string = string, P = any[], R = any>
+        extends CallOptions {
+        method: M;
+        params: P;
+        callback?: (r: Response<R>) => void;
+    }
+
+    type Listener<C, E> = (this: C, e: E) => void;
+
+    /**
+     * client whose methods are S and notifications from a server are N
+     */
+    interface Client<S = any, N = any> {
+        readonly uri: string;
+        readonly state: State;
+        callbacks: Callbacks<N> | undefined;
+
+        call_async<M extends MethodName<S>>(
+            args: CallArgs<M, Params<S[M]>, Result<S[M]>>): boolean;
+        call<M extends MethodName<S>>(method: M, params: Params<S[M]>,
+                                      options?: CallOptions): Promise<Result<S[M]>>;
+        proxy(namespace?: '', options?: ProxyOptions): StubsOf<S>;
+        proxy(namespace: string, options?: ProxyOptions): any;
+        notify<M extends MethodName<S>>(args: {method: M, params: Params<S[M]>}): void;
+        pending(): number;
+        // throws with options.codec, 0x70-0x7f are reserved
+        register_ext<T>(type: number, cls: new (...args: any[]) => T,
+                        encode: (value: T) => Uint8Array,
+                        decode: (data: Uint8Array) => T): void;
+
+        on<E extends keyof ClientEvents>(
+            name: E, fn: Listener<this, ClientEvents[E]>): this;
+        on(name: 'notify', fn: Listener<this, NotificationOf<N>>): this;
+        on<M extends MethodName<N>>(
+            name: `notify:${M}`, fn: Listener<this, NotificationOf<N, M>>): this;
+        on(name: string, fn: Listener<this, any>): this;
+        once<E extends keyof ClientEvents>(
+            name: E, fn: Listener<this, ClientEvents[E]>): this;
+        once(name: 'notify', fn: Listener<this, NotificationOf<N>>): this;
+        once<M extends MethodName<N>>(
+            name: `notify:${M}`, fn: Listener<this, NotificationOf<N, M>>): this;
+        once(name: string, fn: Listener<this, any>): this;
+        off(name: string, fn?: (...args: any[]) => void): this;
+
+        subscribe<M extends MethodName<N>>(
+            pattern: M, fn: Listener<this, NotificationOf<N, M>>): this;
+        subscribe(pattern: string, fn: Listener<this, NotificationOf<N>>): this;
+        unsubscribe(pattern: string, fn?: (...args: any[]) => void): this;
+        fallback(fn: Listener<this, NotificationOf<N>> | null): this;
+
+        expose(method: string, fn: ((...params: any[]) => any) | null): void;
+        resume(): boolean;
+        suspend(): void;
+        disconnect(): void;
+    }
+
+    interface ClientConstructor {
+        new <S = any, N = any>(uri: string, callbacks?: Callbacks<N>,
+                               options?: ClientOptions): Client<S, N>;
+        <S = any, N = any>(uri: string, callbacks?: Callbacks<N>,
+                           options?: ClientOptions): Client<S, N> | undefined;
+    }
+
+    /**
+     * connection of a server, "this" of handlers
+     */
+    interface Connection<N = any> {
+        notify<M extends MethodName<N>>(method: M, params: Params<N[M]>): void;
+        // calls a method of client.expose
+        call(method: string, params: any[], options?: {timeout?: number}): Promise<any>;
+        close(): void;
+    }
+
+    // handlers of a server which serves S and notifies N
+    type Handlers<S = any, N = any> = {
+        [M in MethodName<S>]?: (this: Connection<N>, ...params: Params<S[M]>) =>
+            Result<S[M]> | Promise<Result<S[M]>>
+    };
+
+    interface WebSocketServer {
+        on(event: 'connection', fn: (sock: any) => void): any;
+        removeListener(event: 'connection', fn: (sock: any) => void): any;
+        close(): void;
+    }
+
+    interface Server<S = any, N = any> {
+        handlers: Handlers<S, N>;
+        accept(sock: any): Connection<N>;
+        listen(wss: WebSocketServer): void;
+        close(): void;
+        register<M extends MethodName<S>>(method: M, fn: NonNullable<Handlers<S, N>[M]>): void;
+        unregister(method: MethodName<S>): void;
+        // throws with options.codec, 0x70-0x7f are reserved
+        register_ext<T>(type: number, cls: new (...args: any[]) => T,
+                        encode: (value: T) => Uint8Array,
+                        decode: (data: Uint8Array) => T): void;
+    }
+
+    interface ServerConstructor {
+        new <S = any, N = any>(handlers?: Handlers<S, N>,
+                               options?: ServerOptions): Server<S, N>;
+        <S = any, N = any>(handlers?: Handlers<S, N>,
+                           options?: ServerOptions): Server<S, N>;
+    }
+
+    type ErrorType = 'timeout' | 'remote' | 'disconnected' | 'suspended' |
+        'cancelled' | 'overflow' | 'protocol' | 'encode';
+
+    interface ErrorInfo {
+        msgid?: number;
+        elapsed?: number;
+        reason?: string;
+    }
+
+    class RpcError extends Error {
+        constructor(type: ErrorType, method: string, error?: any, info?: ErrorInfo);
+        type: ErrorType;
+        method: string;
+        error: any;
+        msgid: number | undefined;
+        elapsed: number | undefined;
+    }
+    class RpcTimeoutError extends RpcError {
+        constructor(method: string, info?: ErrorInfo);
+        type: 'timeout';
+    }
+    class RpcRemoteError extends RpcError {
+        constructor(method: string, error: any, info?: ErrorInfo,
+                    normalized?: {code?: any, message?: any, data?: any});
+        type: 'remote';
+        code: any;
+        data: any;
+    }
+    class RpcTransportError extends RpcError {
+        constructor(type: 'disconnected' | 'suspended', method: string,
+                    info?: ErrorInfo);
+        type: 'disconnected' | 'suspended';
+    }
+    class RpcCancelledError extends RpcError {
+        constructor(method: string, info?: ErrorInfo);
+        type: 'cancelled';
+    }
+    class RpcProtocolError extends RpcError {
+        constructor(method: string, reason: string, info?: ErrorInfo);
+        type: 'protocol';
+    }
+
+    class Ext {
+        constructor(type: number, data: Uint8Array);
+        type: number;
+        data: Uint8Array;
+    }
+
+    interface Decoder {
+        feed(bytes: Uint8Array): void;
+        // undefined until a whole object is fed
+        next(): any;
+    }
+    interface Codec {
+        encode(obj: any): Uint8Array;
+        decoder(): Decoder;
+    }
+
+    interface Transport {
+        readyState: 0 | 1 | 2 | 3;
+        open(): void;
+        send(bytes: Uint8Array): void;
+        close(): void;
+        onopen: (e: ClientEvent) => void;
+        onmessage: (data: ArrayBuffer | Uint8Array) => void;
+        onclose: (e: ClientEvent) => void;
+        onerror: (e: ClientEvent) => void;
+    }
+    type TransportFactory = (uri: string, options?: ClientOptions) => Transport;
+
+    interface IdlType {
+        name: string;
+        args?: IdlType[];
+    }
+    interface IdlField {
+        id: number;
+        name: string;
+        type: IdlType;
+        optional: boolean;
+    }
+    interface IdlMethod {
+        name: string;
+        params: IdlField[];
+        result?: IdlType;
+    }
+    interface IdlService {
+        name: string;
+        version?: number;
+        methods: IdlMethod[];
+        notifies: IdlMethod[];
+    }
+    interface IdlSchema {
+        namespace: string;
+        enums: {[name: string]: {names: string[], values: number[]}};
+        messages: {[name: string]: {fields: IdlField[]}};
+        services: {[name: string]: IdlService};
+    }
+
+    // members of msgpack.rpc
+    const client: ClientConstructor;
+    const error: typeof RpcError;
+    const errors: {
+        timeout: typeof RpcTimeoutError;
+        remote: typeof RpcRemoteError;
+        transport: typeof RpcTransportError;
+        cancelled: typeof RpcCancelledError;
+        protocol: typeof RpcProtocolError;
+    };
+    const server: ServerConstructor;
+    const transports: {[scheme: string]: TransportFactory};
+    const codec: Codec;
+    const codecs: {
+        legacy(lib?: any): Codec;
+        msgpack_lite(lib: any): Codec;
+    };
+    const idl: {
+        parse(text: string): IdlSchema;
+        check(schema: IdlSchema, type: string | IdlType, value: any,
+              path?: string): string | undefined;
+    };
+    const ext: typeof Ext;
+}
+
+// browsers only, Node.js has no global namespace
+declare global {
+    var msgpack: {
+        rpc: typeof rpc;
+        [key: string]: any;
+    };
+}
+
+export = rpc;
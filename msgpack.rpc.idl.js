@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/*{id:msgpack.rpc.idl.js,ver:0.10,license:"MIT",author:"nori.0428@gmail.com"}*/
+
+// stub generator of msgpack.rpc.js
+//
+// usage: node msgpack.rpc.idl.js [-o outdir] [-l libpath] schema.idl
+//
+// writes for each service in schema.idl
+//   <service>.client.js: client stubs which check params and call
+//                        msgpack.rpc.client
+//   <service>.server.js: skeleton of handlers of msgpack.rpc.server
+// libpath is the path of msgpack.rpc.js required by the generated
+// files, default "./msgpack.rpc.js"
+
+var fs = require('fs');
+var path = require('path');
+var rpc = require(path.join(__dirname, 'msgpack.rpc.js'));
+
+// names of the generated client which a service can not have
+var internal_names = ['globalScope', 'rpc', 'schema', 'service', 'check_params',
+                      'module', 'require'];
+
+function type_name(t) {
+    if (!t.args) {
+        return t.name;
+    }
+    return t.name + '<' + t.args.map(type_name).join(', ') + '>';
+}
+
+function param_list(params) {
+    return params.map(function(p) { return p.name; }).join(', ');
+}
+
+// name of an extra argument which no param has
+function free_name(name, params) {
+    while (params.some(function(p) { return p.name === name; })) {
+        name = '_' + name;
+    }
+    return name;
+}
+
+function param_docs(params, indent) {
+    return params.map(function(p) {
+                          var name = p.optional ? '[' + p.name + ']' : p.name;
+                          return indent + ' * @param {' + type_name(p.type) + '} ' + name;
+                      });
+}
+
+function quote(s) {
+    return '\'' + s.replace(/\\/g, '\\\\').replace(/'/g, '\\\'') + '\'';
+}
+
+function client_source(schema, svc, src, lib) {
+    var lines = [], ns = schema.namespace;
+    var call = free_name('call', [].concat.apply([], svc.methods.map(function(m) {
+                                                                        return m.params;
+                                                                    })));
+
+    lines.push('/* client stubs of service ' + svc.name + ' generated by',
+               ' * msgpack.rpc.idl.js from ' + src + ', do not edit */',
+               '',
+               '(function(globalScope) {',
+               '',
+               'var rpc = (typeof require === \'function\') ?',
+               '    require(' + quote(lib) + ') : globalScope.msgpack.rpc;',
+               'var schema = ' + JSON.stringify(schema) + ';',
+               'var service = schema.services[' + quote(svc.name) + '];',
+               '',
+               '// returns a message if params are invalid',
+               'function check_params(fields, params) {',
+               '    var i, v, error;',
+               '',
+               '    for (i = 0; i < fields.length; i++) {',
+               '        v = params[i];',
+               '        if (v === null || typeof v === \'undefined\') {',
+               '            if (!fields[i].optional) {',
+               '                return fields[i].name + \': required\';',
+               '            }',
+               '        } else if ((error = rpc.idl.check(schema, fields[i].type, v,',
+               '                                         fields[i].name))) {',
+               '            return error;',
+               '        }',
+               '    }',
+               '    return undefined;',
+               '}',
+               '',
+               '/**',
+               ' * client stubs of service ' + svc.name + '<br>',
+               ' * each method checks params and does call of the client,',
+               ' * the last argument can be options of call',
+               ' * @param {Object} client msgpack.rpc.client',
+               ' * @return {Object} stubs',
+               ' */',
+               'function ' + svc.name + '(client) {',
+               '    var that = {};',
+               '',
+               '    function ' + call + '(i, args) {',
+               '        var m = service.methods[i];',
+               '        var params = Array.prototype.slice.call(args, 0, m.params.length);',
+               '        var error = check_params(m.params, params);',
+               '',
+               '        if (error) {',
+               '            return Promise.reject(new TypeError(m.name + \': \' + error));',
+               '        }',
+               '        return client.call(m.name, params, args[m.params.length]);',
+               '    }',
+               '');
+    svc.methods.forEach(function(m, i) {
+        var options = free_name('options', m.params);
+
+        lines.push('    /**',
+                   '     * ' + m.name);
+        lines = lines.concat(param_docs(m.params, '    '));
+        lines.push('     * @param {Hash} [' + options + '] options of call',
+                   '     * @return {Promise} resolved with ' + type_name(m.result),
+                   '     */',
+                   '    that[' + quote(m.name) + '] = function(' +
+                   param_list(m.params.concat([{name: options}])) + ') {',
+                   '        return ' + call + '(' + i + ', arguments);',
+                   '    };');
+    });
+    svc.notifies.forEach(function(m) {
+        lines.push('    /**',
+                   '     * add handler of notify ' + m.name,
+                   '     * @param {Function} fn called with ' +
+                   (m.params.length ? param_list(m.params) : 'no argument'),
+                   '     * @return {Object} stubs',
+                   '     */',
+                   '    that[' + quote('on_' + m.name) + '] = function(fn) {',
+                   '        client.subscribe(' + quote(m.name) + ', function(n) {',
+                   '                             fn.apply(this, n.params);',
+                   '                         });',
+                   '        return that;',
+                   '    };');
+    });
+    lines.push('    return that;',
+               '}',
+               '',
+               'if (typeof module === \'object\' && module.exports) {',
+               '    module.exports = ' + svc.name + ';',
+               '} else {');
+    if (ns) {
+        lines.push('    ' + ns.split('.').map(function(n, i, a) {
+                                                return 'globalScope.' + a.slice(0, i + 1).join('.');
+                                            }).map(function(o) {
+                                                       return o + ' = ' + o + ' || {};';
+                                                   }).join('\n    '),
+                   '    globalScope.' + ns + '.' + svc.name + ' = ' + svc.name + ';');
+    } else {
+        lines.push('    globalScope.' + svc.name + ' = ' + svc.name + ';');
+    }
+    lines.push('}',
+               '',
+               '})(typeof global === \'object\' ? global : this);',
+               '');
+    return lines.join('\n');
+}
+
+function server_source(schema, svc, src, lib) {
+    var lines = [];
+
+    lines.push('/* skeleton of service ' + svc.name + ' generated by',
+               ' * msgpack.rpc.idl.js from ' + src + ', implement the handlers */',
+               '',
+               'var rpc = require(' + quote(lib) + ');',
+               '',
+               '// "this" of a handler is the connection',
+               'var handlers = {');
+    svc.methods.forEach(function(m, i) {
+        lines.push('    /**',
+                   '     * ' + m.name);
+        lines = lines.concat(param_docs(m.params, '    '));
+        lines.push('     * @return {' + type_name(m.result) + '}',
+                   '     */',
+                   '    ' + quote(m.name) + ': function(' + param_list(m.params) + ') {',
+                   '        throw new Error(\'not implemented: ' + m.name + '\');',
+                   '    }' + (i < svc.methods.length - 1 ? ',' : ''));
+    });
+    lines.push('};',
+               '',
+               '/**',
+               ' * server of service ' + svc.name,
+               ' * @param {Hash} [options] options of msgpack.rpc.server',
+               ' * @return {Object} msgpack.rpc.server',
+               ' */',
+               'module.exports = function(options) {',
+               '    return new rpc.server(handlers, options);',
+               '};');
+    svc.notifies.forEach(function(m) {
+        var conn = free_name('conn', m.params);
+
+        lines.push('',
+                   '/**',
+                   ' * send notify ' + m.name,
+                   ' * @param {Object} ' + conn + ' connection');
+        lines = lines.concat(param_docs(m.params, ''));
+        lines.push(' */',
+                   'module.exports[' + quote('notify_' + m.name) + '] = function(' +
+                   param_list([{name: conn}].concat(m.params)) + ') {',
+                   '    ' + conn + '.notify(' + quote(m.name) + ', [' + param_list(m.params) + ']);',
+                   '};');
+    });
+    lines.push('');
+    return lines.join('\n');
+}
+
+function main(argv) {
+    var outdir = '.', lib = './msgpack.rpc.js', file, schema, name, out, i;
+
+    for (i = 0; i < argv.length; i++) {
+        if (argv[i] === '-o' && i + 1 < argv.length) {
+            outdir = argv[++i];
+        } else if (argv[i] === '-l' && i + 1 < argv.length) {
+            lib = argv[++i];
+        } else if (typeof file === 'undefined' && argv[i].charAt(0) !== '-') {
+            file = argv[i];
+        } else {
+            file = undefined;
+            break;
+        }
+    }
+    if (typeof file === 'undefined') {
+        console.error('usage: node msgpack.rpc.idl.js [-o outdir] [-l libpath] schema.idl');
+        return 2;
+    }
+    try {
+        schema = rpc.idl.parse(fs.readFileSync(file, 'utf8'));
+    } catch (x) {
+        console.error(file + ': ' + x.message);
+        return 1;
+    }
+    for (name in schema.services) {
+        if (internal_names.indexOf(name) >= 0) {
+            console.error(file + ': service name "' + name + '" is used by generated code');
+            return 1;
+        }
+    }
+    for (name in schema.services) {
+        out = path.join(outdir, name + '.client.js');
+        fs.writeFileSync(out, client_source(schema, schema.services[name],
+                                            path.basename(file), lib));
+        console.log(out);
+        out = path.join(outdir, name + '.server.js');
+        fs.writeFileSync(out, server_source(schema, schema.services[name],
+                                            path.basename(file), lib));
+        console.log(out);
+    }
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
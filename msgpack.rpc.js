@@ -1,21 +1,114 @@
 /*{id:msgpack.rpc.js,ver:0.10,license:"MIT",author:"nori.0428@gmail.com"}*/
 
-this.msgpack.rpc || (function(globalScope) {
+(function(globalScope) {
 
-globalScope.msgpack.rpc = {
+// Node.js: every copy exports its own namespace and global is left as
+// it is, so that global msgpack is still the legacy codec library
+var commonjs = typeof module === 'object' && module.exports;
+var msgpack = commonjs ? {} : (globalScope.msgpack = globalScope.msgpack || {});
+
+if (msgpack.rpc) {
+    return;
+}
+msgpack.rpc = {
     /**
      * MessagePack RPC Client<br>
      * <a href="http://wiki.msgpack.org/display/MSGPACK/RPC+specification">
      * http://wiki.msgpack.org/display/MSGPACK/RPC+specification
      * </a>
      * @class
-     * @param {string} uri uri of websocket
+     * @param {string} uri uri of server,
+     * the scheme selects the transport<br>
+     * ws://host:port/path, wss://host:port/path
+     * or tcp://host:port (Node.js only,
+     * msgpack.rpc.tcpserver.js is a stand-in server to try it)
      * @param {Hash} [callbacks]
-     * fire when receive event or notify
+     * fire when receive event or notify,
+     * shorthand of {@link #on} with "event" and "notify"
      * @param {String} [callbacks.event]
      * fire when receive websocket event
      * @param {String} [callbacks.notify]
      * fire when receive MessagePack notification
+     * @param {Hash} [options]
+     * @param {Hash} [options.codec]
+     * codec adapter (see {@link globalScope.msgpack.rpc.codec}),
+     * default is the built-in codec.
+     * bigint, map_type, typed_arrays, sets and raw below apply only
+     * to the built-in codec and {@link #register_ext} throws with
+     * another codec
+     * @param {String} [options.bigint]
+     * decode int64/uint64 of the built-in codec as BigInt<br>
+     * "always": every int64/uint64<br>
+     * "unsafe": only beyond Number.MAX_SAFE_INTEGER<br>
+     * default is Number, which may lose precision
+     * @param {String} [options.map_type]
+     * how the built-in codec decodes map<br>
+     * "object" (default): Object, keys are converted to strings<br>
+     * "map": Map<br>
+     * "auto": Map only if it has a key which is not a string
+     * @param {Boolean} [options.typed_arrays]
+     * decode typed arrays packed by the built-in codec,
+     * default true. false leaves them as
+     * {@link globalScope.msgpack.rpc.ext}
+     * @param {Boolean} [options.sets]
+     * decode Set packed by the built-in codec, default true.
+     * false leaves it as {@link globalScope.msgpack.rpc.ext}
+     * @param {Function} [options.normalize_error]
+     * called as normalize_error(error, method) with the error of
+     * a response and returns {code, message, data} of
+     * {@link globalScope.msgpack.rpc.errors}.remote.
+     * the default accepts a string, {code, message, data} and
+     * [code, message, data]
+     * @param {String} [options.raw]
+     * use the old format which has only raw instead of str and bin
+     * to talk with old servers. the built-in codec packs both
+     * String and binary as raw and unpacks raw as<br>
+     * "string": String<br>
+     * "binary": Uint8Array, except keys of map which are String
+     * unless map_type is "map"<br>
+     * default is the current format with str and bin
+     * @param {String|Function} [options.transport]
+     * name in {@link globalScope.msgpack.rpc.transports} or
+     * transport factory, default is selected by the scheme of uri
+     * @param {Number} [options.max_pending]
+     * max number of requests in flight, default Infinity
+     * @param {String} [options.overflow]
+     * what to do with a request beyond max_pending<br>
+     * "queue" (default): send it when another request completes<br>
+     * "reject": complete it with "overflow" error
+     * @param {String} [options.cancel_method]
+     * method name of notify sent to a server when a request is
+     * cancelled, params of the notify is [msgid]
+     * @param {Hash|Boolean} [options.reconnect]
+     * reconnect automatically when the websocket is closed,
+     * true means default policy
+     * @param {Number} [options.reconnect.delay]
+     * initial delay time[ms], default 1000 ms
+     * @param {Number} [options.reconnect.multiplier]
+     * multiplier of delay per attempt, default 2
+     * @param {Number} [options.reconnect.max_delay]
+     * max delay time[ms], default 30000 ms
+     * @param {Number} [options.reconnect.jitter]
+     * randomization ratio of delay [0-1], default 0.5
+     * @param {Number} [options.reconnect.max_attempts]
+     * give up after this number of attempts, default Infinity
+     * @param {Hash|Boolean} [options.keepalive]
+     * send a ping periodically and close the connection
+     * as dead if nothing comes back, true means default policy.
+     * any message from a server in the reply window counts as alive,
+     * so a server needs only to answer the ping request
+     * (even with an error) or send something
+     * @param {Number} [options.keepalive.interval]
+     * interval time[ms] of ping, default 30000 ms
+     * @param {Number} [options.keepalive.timeout]
+     * reply window time[ms] after ping, default 10000 ms
+     * @param {Number} [options.keepalive.max_misses]
+     * close the connection after this number of pings
+     * without reply in a row, default 2
+     * @param {String} [options.keepalive.method]
+     * method name of ping, default "ping"
+     * @param {Boolean} [options.keepalive.notify]
+     * send ping as notify instead of request, default false
      * @return {Object}
      * MessagePack RPC Client Instance or undefined if error occurs
      * @see #event:event_callback
@@ -40,7 +133,9 @@ globalScope.msgpack.rpc = {
      *
      *   var client = new msgpack.rpc.client('ws://host:port/msgpack-rpc',
      *                                       {'notify': notify_callback,
-     *                                        'event': event_callback});
+     *                                        'event': event_callback},
+     *                                       {'reconnect': {'delay': 1000,
+     *                                                      'max_attempts': 10}});
      *
      *   // non-block call
      *   client.call_async({'method': 'foo',
@@ -52,6 +147,31 @@ globalScope.msgpack.rpc = {
      *                      'callback': response_callback_2,
      *                      'timeout': 10000});
      *
+     *   // promise based call
+     *   client.call('foo', [-1, "string"], {'timeout': 10000})
+     *       .then(function(result) {
+     *                 console.log(JSON.stringify(result));
+     *             },
+     *             function(error) {
+     *                 console.log(error.type + ': ' + error.message);
+     *             });
+     *
+     *   // stubs of remote methods
+     *   var api = client.proxy();
+     *   api.foo(-1, "string").then(function(result) {
+     *     console.log(JSON.stringify(result));
+     *   });
+     *
+     *   // method which a server can call
+     *   client.expose('confirm', function(message) {
+     *     return window.confirm(message);
+     *   });
+     *
+     *   // listeners of event and notify of a method
+     *   client.on('close', event_callback);
+     *   client.once('open', event_callback);
+     *   client.on('notify:news', notify_callback);
+     *
      *   // non-block notify
      *   client.notify({method: 'foo', params: ['bar', 'baz']});
      *
@@ -66,115 +186,2343 @@ globalScope.msgpack.rpc = {
      *   delete client;
      * })();
      */
-    client: msgpackclient
+    client: msgpackclient,
+    /**
+     * Error of RPC, base class of
+     * {@link globalScope.msgpack.rpc.errors}<br>
+     * given to response callbacks as r.error and
+     * rejected by Promise based RPC
+     * @class
+     * @param {String} type type of error<br>
+     * [timeout, remote, disconnected, suspended, cancelled, overflow,
+     * protocol, encode]
+     * @param {String} method method name of request
+     * @param {Object} [error] error object from a server,
+     * or the error of encoding params
+     * @param {Hash} [info]
+     * @param {Number} [info.msgid] msgid of request
+     * @param {Number} [info.elapsed]
+     * time[ms] from the request until the error
+     * @see globalScope.msgpack.rpc.client#call
+     */
+    error: msgpackerror,
+    /**
+     * subclasses of {@link globalScope.msgpack.rpc.error}
+     * <ul>
+     * <li>timeout: RpcTimeoutError, no response in time</li>
+     * <li>remote: RpcRemoteError, error response from a server
+     * with code, message and data normalized by
+     * options.normalize_error of the client.
+     * the original error is in error</li>
+     * <li>transport: RpcTransportError, the connection is
+     * closed ("disconnected") or suspended ("suspended")</li>
+     * <li>cancelled: RpcCancelledError, cancelled by AbortSignal</li>
+     * <li>protocol: RpcProtocolError, broken data from a server</li>
+     * </ul>
+     * @example
+     * client.call('foo', []).catch(function(e) {
+     *   if (e instanceof msgpack.rpc.errors.timeout) {
+     *     console.log(e.method + ' took ' + e.elapsed + ' ms');
+     *   } else if (e instanceof msgpack.rpc.errors.remote) {
+     *     console.log(e.code + ': ' + e.message);
+     *   }
+     * });
+     */
+    errors: {
+        timeout: timeout_error,
+        remote: remote_error,
+        transport: transport_error,
+        cancelled: cancelled_error,
+        protocol: protocol_error
+    },
+    /**
+     * MessagePack RPC Server for Node.js<br>
+     * accepts WebSocket connections (e.g. from the ws module)
+     * and dispatches requests and notifications to handlers.<br>
+     * a handler is called with params as arguments and
+     * the connection as this, and can return a value,
+     * throw an error or return a Promise.
+     * @class
+     * @param {Hash} [handlers] hash of method name and handler function
+     * @param {Hash} [options]
+     * @param {Hash} [options.codec]
+     * codec adapter (see {@link globalScope.msgpack.rpc.codec}),
+     * default is the built-in codec. the options of the built-in
+     * codec below and register_ext do not apply to another codec
+     * @param {String} [options.bigint]
+     * decode int64/uint64 as BigInt ("always" or "unsafe")
+     * @param {String} [options.map_type]
+     * decode map as "object", "map" or "auto"
+     * @param {Boolean} [options.typed_arrays]
+     * decode typed arrays, default true
+     * @param {Boolean} [options.sets]
+     * decode Set, default true
+     * @param {String} [options.raw]
+     * use the old raw format ("string" or "binary")
+     * @see globalScope.msgpack.rpc.client
+     * @return {Object} MessagePack RPC Server Instance
+     * @example
+     * var WebSocketServer = require('ws').Server;
+     * var rpc = require('./msgpack.rpc.js');
+     *
+     * var server = new rpc.server({
+     *   'add': function(a, b) {
+     *     return a + b;
+     *   },
+     *   'echo_later': function(v) {
+     *     return new Promise(function(resolve) {
+     *       setTimeout(function() { resolve(v); }, 1000);
+     *     });
+     *   }
+     * });
+     * server.register('subscribe', function(topic) {
+     *   var conn = this;
+     *   setInterval(function() { conn.notify(topic, [Date.now()]); }, 1000);
+     *   return true;
+     * });
+     * server.register('delete', function(id) {
+     *   // ask the method which the client exposes
+     *   return this.call('confirm', ['delete ' + id + '?']).then(function(ok) {
+     *     return ok ? remove(id) : false;
+     *   });
+     * });
+     * server.listen(new WebSocketServer({port: 8080}));
+     */
+    server: msgpackserver,
+    /**
+     * transport factories by name (scheme of uri)<br>
+     * a factory is called as factory(uri, options) and returns
+     * a transport which has the following members.
+     * <ul>
+     * <li>readyState: 0 connecting, 1 open, 2 closing, 3 closed</li>
+     * <li>open(): start connecting, may throw if failed</li>
+     * <li>send(bytes): send Uint8Array in open state</li>
+     * <li>close(): start closing</li>
+     * <li>onopen(e), onmessage(data), onclose(e), onerror(e):
+     * set by the client, data is ArrayBuffer or Uint8Array</li>
+     * </ul>
+     * @example
+     * // transport over MessagePort of a Worker
+     * msgpack.rpc.transports.worker = function(uri) {
+     *   var t = {readyState: 0}, port = workers[uri];
+     *
+     *   t.open = function() {
+     *     port.onmessage = function(e) { t.onmessage(e.data); };
+     *     t.readyState = 1;
+     *     setTimeout(function() { t.onopen({type: 'open'}); }, 0);
+     *   };
+     *   t.send = function(bytes) { port.postMessage(bytes); };
+     *   t.close = function() {
+     *     port.close();
+     *     t.readyState = 3;
+     *     setTimeout(function() { t.onclose({type: 'close'}); }, 0);
+     *   };
+     *   return t;
+     * };
+     * var client = new msgpack.rpc.client('worker:calc', callbacks);
+     */
+    transports: {
+        ws: websocket_transport,
+        wss: websocket_transport,
+        tcp: tcp_transport
+    },
+    /**
+     * built-in MessagePack codec<br>
+     * <a href="https://github.com/msgpack/msgpack/blob/master/spec.md">
+     * https://github.com/msgpack/msgpack/blob/master/spec.md
+     * </a><br>
+     * a codec adapter, which the client and the server use to
+     * encode and decode frames, has the following members.
+     * <ul>
+     * <li>encode(obj): encode obj to Uint8Array</li>
+     * <li>decoder(): create a streaming decoder which has
+     * feed(bytes) and next(), bytes is Uint8Array and
+     * next returns undefined until a whole object is fed</li>
+     * </ul>
+     * integers are packed in the smallest format and other numbers
+     * in float32 if it keeps the value, otherwise float64.
+     * BigInt is packed as int64 or uint64.
+     * String is packed as str, Uint8Array, ArrayBuffer and DataView
+     * as bin, Date as Timestamp extension (-1) and Map as map with
+     * its keys as they are.
+     * Other typed arrays are packed as extension whose payload is
+     * the elements in little endian and whose type tells the element
+     * type: 0x70 Int8Array, 0x71 Uint8ClampedArray, 0x72 Int16Array,
+     * 0x73 Uint16Array, 0x74 Int32Array, 0x75 Uint32Array,
+     * 0x76 Float32Array, 0x77 Float64Array, 0x78 BigInt64Array,
+     * 0x79 BigUint64Array.
+     * Set is packed as extension 0x7a whose payload is the array
+     * of its elements.
+     * bin is unpacked as Uint8Array, Timestamp as Date, the typed
+     * array extensions as typed arrays, the Set extension as Set
+     * and other extensions as {@link globalScope.msgpack.rpc.ext}.
+     * extension types 0x70-0x7f are reserved for the built-in codec.
+     * @example
+     * var codec = msgpack.rpc.codec, decoder = codec.decoder();
+     * decoder.feed(codec.encode({'now': new Date(), 'bin': new Uint8Array(4)}));
+     * decoder.next(); // {now: Date, bin: Uint8Array}
+     */
+    codec: builtin_codec(),
+    /**
+     * codec adapters for third-party MessagePack libraries<br>
+     * <ul>
+     * <li>legacy([lib]): msgpack object which has pack(obj) and
+     * unpacker (feed(array) and unpack()), default is the global
+     * msgpack of browsers. Node.js has to pass lib</li>
+     * <li>msgpack_lite(lib): msgpack-lite</li>
+     * </ul>
+     * @example
+     * var client = new msgpack.rpc.client(uri, callbacks, {
+     *   'codec': msgpack.rpc.codecs.msgpack_lite(require('msgpack-lite'))
+     * });
+     */
+    codecs: {
+        legacy: legacy_codec,
+        msgpack_lite: msgpack_lite_codec
+    },
+    /**
+     * interface definition language of services<br>
+     * <ul>
+     * <li>parse(text): parse a schema and return it as JSON
+     * compatible Hash, throws Error if invalid</li>
+     * <li>check(schema, type, value): return a message which tells
+     * why value is not of type, or undefined if it is</li>
+     * </ul>
+     * a schema has namespace, enum, message and service.
+     * namespace is a dotted name such as "foo.bar".
+     * a service has methods ("result name(params)") and
+     * notifications ("notify name(params)").
+     * ids and names of fields and params must be unique in
+     * a message or a method, so must names of methods, notifications
+     * and enum values. names of fields, params and services can not
+     * be reserved words of JavaScript.
+     * types are byte, short, int, long, ubyte, ushort, uint,
+     * ulong, float, double, bool, string, bin (raw), any, void
+     * (result only), list&lt;T&gt;, map&lt;K, V&gt;, enum and message.
+     * a message is a map of field name and value, and an optional
+     * field or param can be null or omitted.<br>
+     * stubs are generated by "node msgpack.rpc.idl.js schema.idl"
+     * @example
+     * namespace shop
+     *
+     * enum Status {
+     *   0: OPEN
+     *   1: CLOSED
+     * }
+     *
+     * message Order {
+     *   1: long id
+     *   2: Status status
+     *   3: optional list&lt;string&gt; tags
+     * }
+     *
+     * service Orders {
+     *   Order get(1: long id)
+     *   list&lt;Order&gt; search(1: map&lt;string, string&gt; query,
+     *                       2: optional int limit)
+     *   void cancel(1: long id)
+     *   notify changed(1: Order order)
+     * }
+     */
+    idl: {
+        parse: idl_parse,
+        check: idl_check
+    },
+    /**
+     * MessagePack extension type value
+     * @class
+     * @param {Number} type type of extension [-128, 127]
+     * @param {Uint8Array} data payload of extension
+     */
+    ext: msgpackext
+};
+if (commonjs) {
+    module.exports = msgpack.rpc;
+}
+
+function msgpackerror(type, method, error, info) {
+    this.name = 'RpcError';
+    this.type = type;
+    this.method = method;
+    this.error = error;
+    this.message = (type === 'remote') ? String(error) : type;
+    this.msgid = info && info.msgid;
+    this.elapsed = info && info.elapsed;
+    this.stack = (new Error(this.message)).stack;
+}
+msgpackerror.prototype = new Error();
+msgpackerror.prototype.constructor = msgpackerror;
+
+function timeout_error(method, info) {
+    msgpackerror.call(this, 'timeout', method, undefined, info);
+    this.name = 'RpcTimeoutError';
+}
+timeout_error.prototype = new msgpackerror();
+timeout_error.prototype.constructor = timeout_error;
+
+function remote_error(method, error, info, normalized) {
+    msgpackerror.call(this, 'remote', method, error, info);
+    this.name = 'RpcRemoteError';
+    normalized = normalized || normalize_error(error);
+    this.code = normalized.code;
+    this.data = normalized.data;
+    if (typeof normalized.message !== 'undefined') {
+        this.message = String(normalized.message);
+    }
+}
+remote_error.prototype = new msgpackerror();
+remote_error.prototype.constructor = remote_error;
+
+// type is "disconnected" or "suspended"
+function transport_error(type, method, info) {
+    msgpackerror.call(this, type, method, undefined, info);
+    this.name = 'RpcTransportError';
+}
+transport_error.prototype = new msgpackerror();
+transport_error.prototype.constructor = transport_error;
+
+function cancelled_error(method, info) {
+    msgpackerror.call(this, 'cancelled', method, undefined, info);
+    this.name = 'RpcCancelledError';
+}
+cancelled_error.prototype = new msgpackerror();
+cancelled_error.prototype.constructor = cancelled_error;
+
+function protocol_error(method, reason, info) {
+    msgpackerror.call(this, 'protocol', method, undefined, info);
+    this.name = 'RpcProtocolError';
+    this.message = 'protocol error: ' + reason;
+}
+protocol_error.prototype = new msgpackerror();
+protocol_error.prototype.constructor = protocol_error;
+
+// error of a request which the client reports without a response
+function local_error(type, method, info) {
+    switch (type) {
+    case 'timeout':
+        return new timeout_error(method, info);
+    case 'cancelled':
+        return new cancelled_error(method, info);
+    case 'suspended':
+    case 'disconnected':
+        return new transport_error(type, method, info);
+    case 'protocol':
+        return new protocol_error(method, info.reason, info);
+    default:
+        // overflow
+        return new msgpackerror(type, method, undefined, info);
+    }
+}
+
+// common shapes of error from a server to {code, message, data}
+function normalize_error(error) {
+    if (typeof error === 'string') {
+        return {message: error};
+    }
+    if (Array.isArray(error)) {
+        return {code: error[0], message: error[1], data: error[2]};
+    }
+    if (error !== null && typeof error === 'object' &&
+        typeof error.message !== 'undefined') {
+        return {code: error.code, message: error.message, data: error.data};
+    }
+    return {data: error};
+}
+
+function msgpackext(type, data) {
+    this.type = type;
+    this.data = data;
+}
+
+var text_decoder = (typeof TextDecoder !== 'undefined') ?
+    new TextDecoder() : undefined;
+var text_encoder = (typeof TextEncoder !== 'undefined') ?
+    new TextEncoder() : undefined;
+
+function to_uint8(data) {
+    if (data.constructor === Uint8Array) {
+        return data;
+    }
+    // Buffer of Node.js or other views
+    if (ArrayBuffer.isView(data)) {
+        return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    // ArrayBuffer or Array
+    return new Uint8Array(data);
+}
+
+function utf8_decode(bytes, start, end) {
+    var units = [], str = '', i = start, c, cp;
+
+    // TextDecoder is slower than the loop for short strings
+    if (text_decoder && end - start > 32) {
+        return text_decoder.decode(bytes.subarray(start, end));
+    }
+    while (i < end) {
+        c = bytes[i++];
+        if (c < 0x80) {
+            cp = c;
+        } else if (c < 0xe0) {
+            cp = ((c & 0x1f) << 6) | (bytes[i++] & 0x3f);
+        } else if (c < 0xf0) {
+            cp = ((c & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) |
+                (bytes[i++] & 0x3f);
+        } else {
+            cp = ((c & 0x07) << 18) | ((bytes[i++] & 0x3f) << 12) |
+                ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+        }
+        if (cp > 0xffff) {
+            cp -= 0x10000;
+            units[units.length] = 0xd800 | (cp >> 10);
+            units[units.length] = 0xdc00 | (cp & 0x3ff);
+        } else {
+            units[units.length] = cp;
+        }
+        if (units.length >= 0x1000) {
+            str += String.fromCharCode.apply(null, units);
+            units = [];
+        }
+    }
+    return str + String.fromCharCode.apply(null, units);
+}
+
+var float_view = new DataView(new ArrayBuffer(8));
+
+function read_uint16(bytes, o) {
+    return (bytes[o] << 8) | bytes[o + 1];
+}
+
+function read_uint32(bytes, o) {
+    return ((bytes[o] << 24) >>> 0) + ((bytes[o + 1] << 16) | (bytes[o + 2] << 8) | bytes[o + 3]);
+}
+
+function read_float(bytes, o, n) {
+    for (var i = 0; i < n; i++) {
+        float_view.setUint8(i, bytes[o + i]);
+    }
+    return (n === 4) ? float_view.getFloat32(0) : float_view.getFloat64(0);
+}
+
+// ext type codes registered by the application
+function ext_registry() {
+    var that = {}, types = {}, list = [];
+
+    that.register = function(type, cls, encode, decode) {
+        var entry = {type: type, cls: cls, encode: encode, decode: decode};
+
+        if (type !== (type | 0) || type < 0 || type > 127) {
+            throw new Error('invalid ext type: ' + type);
+        }
+        if (type >= builtin_ext_min && type <= builtin_ext_max) {
+            throw new Error('reserved ext type: ' + type);
+        }
+        list = list.filter(function(e) {
+                               return e.type !== type;
+                           });
+        list.push(entry);
+        types[type] = entry;
+    };
+    that.by_type = function(type) {
+        return types.hasOwnProperty(type) ? types[type] : undefined;
+    };
+    that.by_value = function(v) {
+        for (var i = 0; i < list.length; i++) {
+            if (v instanceof list[i].cls) {
+                return list[i];
+            }
+        }
+        return undefined;
+    };
+    return that;
+}
+
+// ext types 0x70 - 0x7f are reserved for the built-in codec,
+// typed arrays are 0x70 + index and Set is 0x7a
+var builtin_ext_min = 0x70, builtin_ext_max = 0x7f, set_ext = 0x7a;
+var typed_array_names = ['Int8Array', 'Uint8ClampedArray', 'Int16Array',
+                         'Uint16Array', 'Int32Array', 'Uint32Array',
+                         'Float32Array', 'Float64Array', 'BigInt64Array',
+                         'BigUint64Array'];
+var little_endian = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+function swap_bytes(bytes, size) {
+    var i, j, t;
+
+    for (i = 0; i < bytes.length; i += size) {
+        for (j = 0; j < size / 2; j++) {
+            t = bytes[i + j];
+            bytes[i + j] = bytes[i + size - 1 - j];
+            bytes[i + size - 1 - j] = t;
+        }
+    }
+}
+
+function typed_array_value(type, data) {
+    var name = typed_array_names[type - 0x70];
+    var cls = name && globalScope[name], bytes;
+
+    if (typeof cls !== 'function' || data.length % cls.BYTES_PER_ELEMENT !== 0) {
+        return new msgpackext(type, data);
+    }
+    // copy to align the elements
+    bytes = data.slice();
+    if (!little_endian) {
+        swap_bytes(bytes, cls.BYTES_PER_ELEMENT);
+    }
+    return new cls(bytes.buffer, 0, bytes.length / cls.BYTES_PER_ELEMENT);
+}
+
+// payload of Set is an array of its elements
+function set_value(type, data, exts, options) {
+    var decoder = stream_decoder(exts, options), v;
+
+    decoder.feed(data);
+    v = decoder.next();
+    if (!Array.isArray(v)) {
+        return new msgpackext(type, data);
+    }
+    return new Set(v);
+}
+
+function ext_value(type, data, exts, options) {
+    var v, sec, nsec, entry = exts && exts.by_type(type);
+
+    if (entry) {
+        return entry.decode(data);
+    }
+    if (type >= 0x70 && type < 0x70 + typed_array_names.length &&
+        !(options && options.typed_arrays === false)) {
+        return typed_array_value(type, data);
+    }
+    if (type === set_ext && typeof Set !== 'undefined' &&
+        !(options && options.sets === false)) {
+        return set_value(type, data, exts, options);
+    }
+    if (type !== -1) {
+        return new msgpackext(type, data);
+    }
+    // Timestamp extension
+    v = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    switch (data.length) {
+    case 4:
+        return new Date(v.getUint32(0) * 1000);
+    case 8:
+        nsec = v.getUint32(0) >>> 2;
+        sec = (v.getUint32(0) & 0x03) * 0x100000000 + v.getUint32(4);
+        return new Date(sec * 1000 + Math.floor(nsec / 1000000));
+    case 12:
+        nsec = v.getUint32(0);
+        sec = v.getInt32(4) * 0x100000000 + v.getUint32(8);
+        return new Date(sec * 1000 + Math.floor(nsec / 1000000));
+    default:
+        return new msgpackext(type, data);
+    }
+}
+
+// streaming decoder which reads incoming bytes in place.
+// a value inside one chunk is decoded without copy and
+// only a str/bin/ext spanning chunks is joined once.
+function read_int64(src, o, signed, bigint) {
+    var hi = signed ? (read_uint32(src, o) | 0) : read_uint32(src, o);
+    var lo = read_uint32(src, o + 4), n = hi * 0x100000000 + lo;
+
+    if (bigint === 'always' ||
+        (bigint === 'unsafe' && Math.abs(n) > 9007199254740991)) {
+        return BigInt(hi) * BigInt(0x100000000) + BigInt(lo);
+    }
+    return n;
+}
+
+function stream_decoder(exts, options) {
+    var that = {}, chunks = [], pos = 0, avail = 0, stack = [];
+    var bigint = options && options.bigint;
+    var map_type = (options && options.map_type) || 'object';
+    var raw_binary = options && options.raw === 'binary';
+    var tv, tn; // value or length of the last token
+
+    // n bytes from the head without consuming them
+    function peek(n) {
+        var out, piece, i, k, c;
+
+        if (n === 0) {
+            return new Uint8Array(0);
+        }
+        if (chunks[0].length - pos >= n) {
+            return chunks[0].subarray(pos, pos + n);
+        }
+        out = new Uint8Array(n);
+        for (i = 0, k = 0, c = pos; k < n; i++, c = 0) {
+            piece = chunks[i].subarray(c, Math.min(chunks[i].length, c + n - k));
+            out.set(piece, k);
+            k += piece.length;
+        }
+        return out;
+    }
+    function skip(n) {
+        var rest;
+
+        avail -= n;
+        while (n > 0) {
+            rest = chunks[0].length - pos;
+            if (n < rest) {
+                pos += n;
+                return;
+            }
+            n -= rest;
+            chunks.shift();
+            pos = 0;
+        }
+    }
+    function take(n) {
+        var bytes = peek(n);
+
+        skip(n);
+        return bytes;
+    }
+    function read_str(n) {
+        var str, bytes;
+
+        if (n === 0) {
+            return '';
+        }
+        if (chunks[0].length - pos >= n) {
+            str = utf8_decode(chunks[0], pos, pos + n);
+            skip(n);
+            return str;
+        }
+        bytes = take(n);
+        return utf8_decode(bytes, 0, n);
+    }
+    function header_size(b) {
+        if (b <= 0xbf || b >= 0xe0 || b === 0xc0 || b === 0xc2 || b === 0xc3) {
+            return 1;
+        }
+        switch (b) {
+        case 0xcc: case 0xd0: case 0xc4: case 0xd9:
+            return 2;
+        case 0xcd: case 0xd1: case 0xc5: case 0xda: case 0xdc: case 0xde:
+        case 0xc7:
+            return 3;
+        case 0xc8:
+            return 4;
+        case 0xca: case 0xce: case 0xd2: case 0xc6: case 0xdb: case 0xdd:
+        case 0xdf:
+            return 5;
+        case 0xc9:
+            return 6;
+        case 0xcb: case 0xcf: case 0xd3:
+            return 9;
+        case 0xd4: case 0xd5: case 0xd6: case 0xd7: case 0xd8:
+            return 2;
+        default:
+            throw new Error('invalid msgpack format: 0x' + b.toString(16));
+        }
+    }
+    function new_map() {
+        switch (map_type) {
+        case 'map':
+            return new Map();
+        case 'auto':
+            // flat key and value list, converted by auto_map
+            return [];
+        default:
+            return {};
+        }
+    }
+    function set_entry(map, key, value) {
+        switch (map_type) {
+        case 'map':
+            map.set(key, value);
+            break;
+        case 'auto':
+            map.push(key, value);
+            break;
+        default:
+            map[key] = value;
+            break;
+        }
+    }
+    function auto_map(entries) {
+        var i, obj = {}, map;
+
+        for (i = 0; i < entries.length; i += 2) {
+            if (typeof entries[i] !== 'string') {
+                map = new Map();
+                for (i = 0; i < entries.length; i += 2) {
+                    map.set(entries[i], entries[i + 1]);
+                }
+                return map;
+            }
+        }
+        for (i = 0; i < entries.length; i += 2) {
+            obj[entries[i]] = entries[i + 1];
+        }
+        return obj;
+    }
+    // 0: incomplete, 1: value in tv, 2: array of tn, 3: map of tn
+    function token() {
+        var b, h, src, o, size;
+
+        if (avail < 1) {
+            return 0;
+        }
+        b = chunks[0][pos];
+        if (b <= 0x7f) {
+            skip(1);
+            tv = b;
+            return 1;
+        }
+        if (b >= 0xe0) {
+            skip(1);
+            tv = b - 0x100;
+            return 1;
+        }
+        if (b <= 0x8f) {
+            skip(1);
+            tn = b & 0x0f;
+            return 3;
+        }
+        if (b <= 0x9f) {
+            skip(1);
+            tn = b & 0x0f;
+            return 2;
+        }
+        h = header_size(b);
+        if (avail < h) {
+            return 0;
+        }
+        // read the header in place if possible
+        if (chunks[0].length - pos >= h) {
+            src = chunks[0];
+            o = pos + 1;
+        } else {
+            src = peek(h);
+            o = 1;
+        }
+        switch (b) {
+        case 0xc4: case 0xd9: case 0xc7: size = src[o]; break;
+        case 0xc5: case 0xda: case 0xc8: size = read_uint16(src, o); break;
+        case 0xc6: case 0xdb: case 0xc9: size = read_uint32(src, o); break;
+        case 0xd4: size = 1; break;
+        case 0xd5: size = 2; break;
+        case 0xd6: size = 4; break;
+        case 0xd7: size = 8; break;
+        case 0xd8: size = 16; break;
+        default: size = (b >= 0xa0 && b <= 0xbf) ? (b & 0x1f) : 0; break;
+        }
+        if (avail < h + size) {
+            return 0;
+        }
+        switch (b) {
+        case 0xc0: tv = null; break;
+        case 0xc2: tv = false; break;
+        case 0xc3: tv = true; break;
+        case 0xcc: tv = src[o]; break;
+        case 0xcd: tv = read_uint16(src, o); break;
+        case 0xce: tv = read_uint32(src, o); break;
+        case 0xcf: tv = read_int64(src, o, false, bigint); break;
+        case 0xd0: tv = (src[o] << 24) >> 24; break;
+        case 0xd1: tv = (read_uint16(src, o) << 16) >> 16; break;
+        case 0xd2: tv = read_uint32(src, o) | 0; break;
+        case 0xd3: tv = read_int64(src, o, true, bigint); break;
+        case 0xca: tv = read_float(src, o, 4); break;
+        case 0xcb: tv = read_float(src, o, 8); break;
+        case 0xdc: tn = read_uint16(src, o); skip(h); return 2;
+        case 0xdd: tn = read_uint32(src, o); skip(h); return 2;
+        case 0xde: tn = read_uint16(src, o); skip(h); return 3;
+        case 0xdf: tn = read_uint32(src, o); skip(h); return 3;
+        case 0xc7: case 0xc8: case 0xc9: case 0xd4: case 0xd5: case 0xd6:
+        case 0xd7: case 0xd8:
+            tn = (src[o + h - 2] << 24) >> 24;
+            break;
+        default:
+            break;
+        }
+        skip(h);
+        switch (b) {
+        case 0xc4: case 0xc5: case 0xc6:
+            tv = take(size);
+            break;
+        case 0xc7: case 0xc8: case 0xc9: case 0xd4: case 0xd5: case 0xd6:
+        case 0xd7: case 0xd8:
+            tv = ext_value(tn, take(size), exts, options);
+            break;
+        case 0xd9: case 0xda: case 0xdb:
+            tv = raw_binary ? take(size) : read_str(size);
+            break;
+        default:
+            if (b >= 0xa0 && b <= 0xbf) {
+                tv = raw_binary ? take(size) : read_str(size);
+            }
+            break;
+        }
+        return 1;
+    }
+
+    /**
+     * append received bytes
+     * @param {ArrayBuffer|Uint8Array|Array} data
+     */
+    that.feed = function(data) {
+        var bytes = to_uint8(data);
+
+        if (bytes.length > 0) {
+            chunks.push(bytes);
+            avail += bytes.length;
+        }
+    };
+    /**
+     * decode the next object
+     * @return {Object} decoded object or undefined if incomplete
+     */
+    that.next = function() {
+        var t, v, top;
+
+        for (;;) {
+            t = token();
+            if (t === 0) {
+                return undefined;
+            }
+            if (t === 1) {
+                v = tv;
+            } else if (tn === 0) {
+                v = (t === 2) ? [] : (map_type === 'map') ? new Map() : {};
+            } else {
+                stack.push({value: (t === 2) ? [] : new_map(), map: t === 3,
+                            n: tn, key: undefined, has_key: false});
+                continue;
+            }
+            // attach the value to containers
+            for (;;) {
+                top = stack[stack.length - 1];
+                if (!top) {
+                    return v;
+                }
+                if (top.map) {
+                    if (!top.has_key) {
+                        // raw keys are names, so they are strings
+                        // unless map_type "map" can keep bytes
+                        top.key = (raw_binary && map_type !== 'map' &&
+                                   v instanceof Uint8Array) ?
+                            utf8_decode(v, 0, v.length) : v;
+                        top.has_key = true;
+                        break;
+                    }
+                    set_entry(top.value, top.key, v);
+                    top.has_key = false;
+                } else {
+                    top.value.push(v);
+                }
+                if (--top.n > 0) {
+                    break;
+                }
+                stack.pop();
+                v = (top.map && map_type === 'auto') ?
+                    auto_map(top.value) : top.value;
+            }
+        }
+    };
+    return that;
+}
+
+function utf8_encode(str) {
+    var bytes = [], i, c;
+
+    if (text_encoder) {
+        return text_encoder.encode(str);
+    }
+    for (i = 0; i < str.length; i++) {
+        c = str.charCodeAt(i);
+        if (c >= 0xd800 && c <= 0xdbff && i + 1 < str.length) {
+            c = 0x10000 + ((c - 0xd800) << 10) + (str.charCodeAt(++i) - 0xdc00);
+        }
+        if (c < 0x80) {
+            bytes.push(c);
+        } else if (c < 0x800) {
+            bytes.push(0xc0 | (c >> 6), 0x80 | (c & 0x3f));
+        } else if (c < 0x10000) {
+            bytes.push(0xe0 | (c >> 12), 0x80 | ((c >> 6) & 0x3f),
+                       0x80 | (c & 0x3f));
+        } else {
+            bytes.push(0xf0 | (c >> 18), 0x80 | ((c >> 12) & 0x3f),
+                       0x80 | ((c >> 6) & 0x3f), 0x80 | (c & 0x3f));
+        }
+    }
+    return bytes;
+}
+
+// growable output buffer of pack
+function byte_writer(exts, options) {
+    var that = {exts: exts, options: options, raw: !!(options && options.raw)};
+    var buf = new Uint8Array(256), view = new DataView(buf.buffer);
+    var len = 0;
+
+    function reserve(n) {
+        var grown;
+
+        if (len + n <= buf.length) {
+            return;
+        }
+        grown = new Uint8Array(Math.max(buf.length * 2, len + n));
+        grown.set(buf.subarray(0, len));
+        buf = grown;
+        view = new DataView(buf.buffer);
+    }
+    that.u8 = function(v) {
+        reserve(1);
+        buf[len++] = v;
+    };
+    that.head = function(b, size, v) {
+        reserve(1 + size);
+        buf[len++] = b;
+        switch (size) {
+        case 1: view.setUint8(len, v); break;
+        case 2: view.setUint16(len, v); break;
+        case 4: view.setUint32(len, v); break;
+        default: break;
+        }
+        len += size;
+    };
+    that.int64 = function(b, v) {
+        var hi = Math.floor(v / 0x100000000);
+
+        reserve(9);
+        buf[len++] = b;
+        view.setUint32(len, hi >>> 0);
+        view.setUint32(len + 4, (v - hi * 0x100000000) >>> 0);
+        len += 8;
+    };
+    that.bigint = function(v) {
+        var b = (v < BigInt(0)) ? 0xd3 : 0xcf;
+
+        if (v < -(BigInt(1) << BigInt(63)) || v >= (BigInt(1) << BigInt(64))) {
+            throw new RangeError('BigInt out of 64 bit range: ' + v);
+        }
+        v = BigInt.asUintN(64, v);
+        reserve(9);
+        buf[len++] = b;
+        view.setUint32(len, Number(v >> BigInt(32)));
+        view.setUint32(len + 4, Number(v & BigInt(0xffffffff)));
+        len += 8;
+    };
+    that.float = function(v) {
+        if (Math.fround(v) === v) {
+            reserve(5);
+            buf[len++] = 0xca;
+            view.setFloat32(len, v);
+            len += 4;
+        } else {
+            reserve(9);
+            buf[len++] = 0xcb;
+            view.setFloat64(len, v);
+            len += 8;
+        }
+    };
+    that.bytes = function(bytes) {
+        reserve(bytes.length);
+        buf.set(bytes, len);
+        len += bytes.length;
+    };
+    that.result = function() {
+        return buf.subarray(0, len);
+    };
+    return that;
+}
+
+function pack_number(w, v) {
+    if (v % 1 !== 0 || v >= 0x10000000000000000 || v < -0x8000000000000000) {
+        w.float(v);
+    } else if (v >= 0) {
+        if (v < 0x80) {
+            w.u8(v);
+        } else if (v < 0x100) {
+            w.head(0xcc, 1, v);
+        } else if (v < 0x10000) {
+            w.head(0xcd, 2, v);
+        } else if (v < 0x100000000) {
+            w.head(0xce, 4, v);
+        } else {
+            w.int64(0xcf, v);
+        }
+    } else {
+        if (v >= -0x20) {
+            w.u8(v & 0xff);
+        } else if (v >= -0x80) {
+            w.head(0xd0, 1, v & 0xff);
+        } else if (v >= -0x8000) {
+            w.head(0xd1, 2, v & 0xffff);
+        } else if (v >= -0x80000000) {
+            w.head(0xd2, 4, v >>> 0);
+        } else {
+            w.int64(0xd3, v);
+        }
+    }
+}
+
+function pack_ext(w, type, data) {
+    var n = data.length;
+
+    switch (n) {
+    case 1: w.u8(0xd4); break;
+    case 2: w.u8(0xd5); break;
+    case 4: w.u8(0xd6); break;
+    case 8: w.u8(0xd7); break;
+    case 16: w.u8(0xd8); break;
+    default:
+        if (n < 0x100) {
+            w.head(0xc7, 1, n);
+        } else if (n < 0x10000) {
+            w.head(0xc8, 2, n);
+        } else {
+            w.head(0xc9, 4, n);
+        }
+        break;
+    }
+    w.u8(type & 0xff);
+    w.bytes(data);
+}
+
+function pack_date(w, date) {
+    var ms = date.getTime(), sec = Math.floor(ms / 1000);
+    var nsec = (ms - sec * 1000) * 1000000, data, v, hi;
+
+    if (sec >= 0 && sec < 0x400000000) {
+        if (nsec === 0 && sec < 0x100000000) {
+            data = new Uint8Array(4);
+            new DataView(data.buffer).setUint32(0, sec);
+        } else {
+            // timestamp 64: nsec in 30 bits and sec in 34 bits
+            data = new Uint8Array(8);
+            v = new DataView(data.buffer);
+            v.setUint32(0, nsec * 4 + Math.floor(sec / 0x100000000));
+            v.setUint32(4, sec >>> 0);
+        }
+    } else {
+        data = new Uint8Array(12);
+        v = new DataView(data.buffer);
+        hi = Math.floor(sec / 0x100000000);
+        v.setUint32(0, nsec);
+        v.setInt32(4, hi);
+        v.setUint32(8, (sec - hi * 0x100000000) >>> 0);
+    }
+    pack_ext(w, -1, data);
+}
+
+// the old format has no str8, and packs binary as raw
+function pack_str(w, bytes) {
+    var n = bytes.length;
+
+    if (n < 0x20) {
+        w.u8(0xa0 | n);
+    } else if (n < 0x100 && !w.raw) {
+        w.head(0xd9, 1, n);
+    } else if (n < 0x10000) {
+        w.head(0xda, 2, n);
+    } else {
+        w.head(0xdb, 4, n);
+    }
+    w.bytes(bytes);
+}
+
+function pack_bin(w, bytes) {
+    var n = bytes.length;
+
+    if (w.raw) {
+        pack_str(w, bytes);
+        return;
+    }
+    if (n < 0x100) {
+        w.head(0xc4, 1, n);
+    } else if (n < 0x10000) {
+        w.head(0xc5, 2, n);
+    } else {
+        w.head(0xc6, 4, n);
+    }
+    w.bytes(bytes);
+}
+
+function pack_array_head(w, n) {
+    if (n < 0x10) {
+        w.u8(0x90 | n);
+    } else if (n < 0x10000) {
+        w.head(0xdc, 2, n);
+    } else {
+        w.head(0xdd, 4, n);
+    }
+}
+
+function pack_map_head(w, n) {
+    if (n < 0x10) {
+        w.u8(0x80 | n);
+    } else if (n < 0x10000) {
+        w.head(0xde, 2, n);
+    } else {
+        w.head(0xdf, 4, n);
+    }
+}
+
+function pack_typed_array(w, v) {
+    var name = Object.prototype.toString.call(v).slice(8, -1);
+    var type = typed_array_names.indexOf(name);
+    var bytes = new Uint8Array(v.buffer, v.byteOffset, v.byteLength);
+
+    if (!little_endian) {
+        bytes = bytes.slice();
+        swap_bytes(bytes, v.BYTES_PER_ELEMENT);
+    }
+    if (type < 0) {
+        // unknown view is packed as bin
+        pack_bin(w, bytes);
+        return;
+    }
+    pack_ext(w, 0x70 + type, bytes);
+}
+
+function pack_value(w, v) {
+    var n, keys, i, entry;
+
+    switch (typeof v) {
+    case 'number':
+        pack_number(w, v);
+        return;
+    case 'string':
+        pack_str(w, utf8_encode(v));
+        return;
+    case 'boolean':
+        w.u8(v ? 0xc3 : 0xc2);
+        return;
+    case 'bigint':
+        w.bigint(v);
+        return;
+    case 'object':
+        break;
+    default:
+        // undefined, function and symbol
+        w.u8(0xc0);
+        return;
+    }
+    if (v === null) {
+        w.u8(0xc0);
+    } else if (w.exts && (entry = w.exts.by_value(v))) {
+        pack_ext(w, entry.type, to_uint8(entry.encode(v)));
+    } else if (Array.isArray(v)) {
+        n = v.length;
+        pack_array_head(w, n);
+        for (i = 0; i < n; i++) {
+            pack_value(w, v[i]);
+        }
+    } else if (v instanceof Uint8Array || v instanceof ArrayBuffer ||
+               v instanceof DataView) {
+        pack_bin(w, to_uint8(v));
+    } else if (v instanceof Date) {
+        pack_date(w, v);
+    } else if (v instanceof msgpackext) {
+        pack_ext(w, v.type, to_uint8(v.data));
+    } else if (ArrayBuffer.isView(v)) {
+        pack_typed_array(w, v);
+    } else if (typeof Map !== 'undefined' && v instanceof Map) {
+        pack_map_head(w, v.size);
+        v.forEach(function(value, key) {
+                      pack_value(w, key);
+                      pack_value(w, value);
+                  });
+    } else if (typeof Set !== 'undefined' && v instanceof Set) {
+        n = [];
+        v.forEach(function(value) {
+                      n.push(value);
+                  });
+        pack_ext(w, set_ext, pack(n, w.exts, w.options));
+    } else {
+        keys = Object.keys(v);
+        n = keys.length;
+        pack_map_head(w, n);
+        for (i = 0; i < n; i++) {
+            pack_value(w, keys[i]);
+            pack_value(w, v[keys[i]]);
+        }
+    }
+}
+
+function pack(obj, exts, options) {
+    var w = byte_writer(exts, options);
+
+    pack_value(w, obj);
+    return w.result();
+}
+
+function builtin_codec(exts, options) {
+    return {
+        encode: function(obj) {
+            return pack(obj, exts, options);
+        },
+        decoder: function() {
+            return stream_decoder(exts, options);
+        }
+    };
+}
+
+// msgid is uint32, returns undefined if invalid
+function to_msgid(id) {
+    if (typeof id === 'bigint') {
+        id = (id >= 0 && id <= 0xffffffff) ? Number(id) : undefined;
+    }
+    if (typeof id !== 'number' || id % 1 !== 0 || id < 0 || id > 0xffffffff) {
+        return undefined;
+    }
+    return id;
+}
+
+function legacy_codec(lib) {
+    lib = lib || globalScope.msgpack;
+    if (!lib || typeof lib.pack !== 'function') {
+        throw new Error('legacy codec needs msgpack library');
+    }
+    return {
+        encode: function(obj) {
+            return new Uint8Array(lib.pack(obj));
+        },
+        decoder: function() {
+            var unpacker = new lib.unpacker();
+
+            return {
+                feed: function(bytes) {
+                    // legacy unpacker takes an Array of bytes
+                    unpacker.feed(Array.prototype.slice.call(bytes));
+                },
+                next: function() {
+                    return unpacker.unpack();
+                }
+            };
+        }
+    };
+}
+
+function msgpack_lite_codec(lib) {
+    return {
+        encode: function(obj) {
+            return to_uint8(lib.encode(obj));
+        },
+        decoder: function() {
+            var decoder = new lib.Decoder(), queue = [];
+
+            decoder.on('data', function(obj) {
+                queue.push(obj);
+            });
+            return {
+                feed: function(bytes) {
+                    decoder.decode(bytes);
+                },
+                next: function() {
+                    return queue.length > 0 ? queue.shift() : undefined;
+                }
+            };
+        }
+    };
+}
+
+// a response which can not be encoded is replied as error
+function encode_response(codec, id, error, result) {
+    try {
+        return to_uint8(codec.encode([1, id, error, result]));
+    } catch (x) {
+        return to_uint8(codec.encode([1, id, 'cannot encode response: ' +
+                                      error_message(x), null]));
+    }
+}
+
+function error_message(x) {
+    if (x instanceof Error) {
+        return x.message;
+    }
+    return (typeof x === 'undefined') ? null : x;
+}
+
+// ranges of integer types of idl
+var idl_ints = {
+    'byte': [-0x80, 0x7f], 'short': [-0x8000, 0x7fff],
+    'int': [-0x80000000, 0x7fffffff], 'long': [-Infinity, Infinity],
+    'ubyte': [0, 0xff], 'ushort': [0, 0xffff], 'uint': [0, 0xffffffff],
+    'ulong': [0, Infinity]
 };
+// names of fields and services become JavaScript identifiers
+var idl_reserved = {};
+('break case catch class const continue debugger default delete do else ' +
+ 'enum export extends false finally for function if implements import in ' +
+ 'instanceof interface let new null package private protected public ' +
+ 'return static super switch this throw true try typeof var void while ' +
+ 'with yield await arguments eval').split(' ').forEach(function(w) {
+                                                         idl_reserved[w] = true;
+                                                     });
+var idl_primitives = {'float': true, 'double': true, 'bool': true,
+                      'string': true, 'bin': true, 'raw': true,
+                      'any': true, 'void': true};
+
+function idl_tokens(text) {
+    var re = /\s+|\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/|([A-Za-z_][\w.]*|-?\d+|[{}()<>,:;=])/g;
+    var tokens = [], line = 1, m, last = 0;
+
+    while ((m = re.exec(text)) !== null) {
+        if (m.index !== last) {
+            break;
+        }
+        last = re.lastIndex;
+        if (m[1]) {
+            tokens.push({text: m[1], line: line});
+        }
+        line += m[0].split('\n').length - 1;
+    }
+    if (last !== text.length) {
+        throw new Error('idl: line ' + line + ': unexpected "' +
+                        text.charAt(last) + '"');
+    }
+    return tokens;
+}
+
+function idl_parse(text) {
+    var tokens = idl_tokens(text), i = 0;
+    var schema = {namespace: '', enums: {}, messages: {}, services: {}};
+
+    function fail(message) {
+        var t = tokens[Math.min(i, tokens.length - 1)];
+        throw new Error('idl: line ' + (t ? t.line : 1) + ': ' + message);
+    }
+    function peek() {
+        return (i < tokens.length) ? tokens[i].text : undefined;
+    }
+    function next() {
+        if (i >= tokens.length) {
+            fail('unexpected end');
+        }
+        return tokens[i++].text;
+    }
+    function expect(text) {
+        if (next() !== text) {
+            i--;
+            fail('"' + text + '" is expected');
+        }
+    }
+    function name() {
+        var t = next();
+
+        if (!/^[A-Za-z_]\w*$/.test(t)) {
+            i--;
+            fail('invalid name "' + t + '"');
+        }
+        return t;
+    }
+    // name which is used as an identifier in generated code
+    function identifier() {
+        var t = name();
+
+        if (idl_reserved.hasOwnProperty(t)) {
+            i--;
+            fail('reserved word "' + t + '"');
+        }
+        return t;
+    }
+    // dotted name such as "foo.bar" which becomes a JavaScript object path
+    function dotted_name() {
+        var t = next();
+
+        if (!/^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/.test(t)) {
+            i--;
+            fail('invalid namespace "' + t + '"');
+        }
+        return t;
+    }
+    function number() {
+        var t = next();
+
+        if (!/^-?\d+$/.test(t)) {
+            i--;
+            fail('number is expected');
+        }
+        return Number(t);
+    }
+    function type() {
+        var t = {name: name()};
+
+        if (t.name === 'list' || t.name === 'map') {
+            expect('<');
+            t.args = [type()];
+            if (t.name === 'map') {
+                expect(',');
+                t.args.push(type());
+            }
+            expect('>');
+        }
+        return t;
+    }
+    // "1: optional int foo" of message and params
+    function field() {
+        var f = {id: number()};
+
+        expect(':');
+        f.optional = false;
+        if (peek() === 'optional' || peek() === 'required') {
+            f.optional = (next() === 'optional');
+        }
+        f.type = type();
+        f.name = identifier();
+        return f;
+    }
+    function fields(close, sep) {
+        var list = [], ids = {}, names = {}, start, f;
+
+        while (peek() !== close) {
+            start = i;
+            f = field();
+            if (ids.hasOwnProperty(f.id)) {
+                i = start;
+                fail('duplicate id ' + f.id);
+            }
+            if (names.hasOwnProperty(f.name)) {
+                i = start;
+                fail('duplicate name "' + f.name + '"');
+            }
+            ids[f.id] = names[f.name] = true;
+            list.push(f);
+            // fields of message need no separator
+            if (peek() === sep || peek() === ';') {
+                next();
+            } else if (close === ')' && peek() !== close) {
+                fail('"' + close + '" is expected');
+            }
+        }
+        next();
+        return list;
+    }
+    function service() {
+        var svc = {name: identifier(), methods: [], notifies: []}, m, list;
+        var names = {methods: {}, notifies: {}}, start;
+
+        if (peek() === ':') {
+            next();
+            svc.version = number();
+        }
+        expect('{');
+        while (peek() !== '}') {
+            if (peek() === 'notify') {
+                next();
+                list = 'notifies';
+                start = i;
+                m = {name: name()};
+            } else {
+                list = 'methods';
+                m = {result: type()};
+                start = i;
+                m.name = name();
+            }
+            if (names[list].hasOwnProperty(m.name)) {
+                i = start;
+                fail('duplicate name "' + m.name + '"');
+            }
+            names[list][m.name] = true;
+            svc[list].push(m);
+            expect('(');
+            m.params = fields(')', ',');
+            if (peek() === ';') {
+                next();
+            }
+        }
+        next();
+        return svc;
+    }
+
+    while (i < tokens.length) {
+        switch (next()) {
+        case 'namespace':
+            schema.namespace = dotted_name();
+            break;
+        case 'enum':
+            (function(e) {
+                 var start, v, n;
+
+                 expect('{');
+                 while (peek() !== '}') {
+                     start = i;
+                     v = number();
+                     expect(':');
+                     n = name();
+                     if (e.values.indexOf(v) >= 0) {
+                         i = start;
+                         fail('duplicate value ' + v);
+                     }
+                     if (e.names.indexOf(n) >= 0) {
+                         i = start;
+                         fail('duplicate name "' + n + '"');
+                     }
+                     e.values.push(v);
+                     e.names.push(n);
+                     if (peek() === ',' || peek() === ';') {
+                         next();
+                     }
+                 }
+                 next();
+             })(schema.enums[name()] = {names: [], values: []});
+            break;
+        case 'message':
+        case 'exception':
+            (function(n) {
+                 expect('{');
+                 schema.messages[n] = {fields: fields('}', ',')};
+             })(name());
+            break;
+        case 'service':
+            (function(svc) {
+                 schema.services[svc.name] = svc;
+             })(service());
+            break;
+        default:
+            i--;
+            fail('unexpected "' + peek() + '"');
+        }
+    }
+    idl_resolve(schema);
+    return schema;
+}
+
+// every type name must be defined
+function idl_resolve(schema) {
+    function resolve(t, where) {
+        var i;
+
+        if (!idl_ints.hasOwnProperty(t.name) &&
+            !idl_primitives.hasOwnProperty(t.name) &&
+            t.name !== 'list' && t.name !== 'map' &&
+            !schema.enums.hasOwnProperty(t.name) &&
+            !schema.messages.hasOwnProperty(t.name)) {
+            throw new Error('idl: unknown type "' + t.name + '" in ' + where);
+        }
+        for (i = 0; t.args && i < t.args.length; i++) {
+            resolve(t.args[i], where);
+        }
+    }
+    function resolve_fields(fields, where) {
+        for (var i = 0; i < fields.length; i++) {
+            resolve(fields[i].type, where);
+        }
+    }
+    var n, svc, i;
+
+    for (n in schema.messages) {
+        resolve_fields(schema.messages[n].fields, n);
+    }
+    for (n in schema.services) {
+        svc = schema.services[n];
+        for (i = 0; i < svc.methods.length; i++) {
+            resolve(svc.methods[i].result, n + '.' + svc.methods[i].name);
+            resolve_fields(svc.methods[i].params, n + '.' + svc.methods[i].name);
+        }
+        for (i = 0; i < svc.notifies.length; i++) {
+            resolve_fields(svc.notifies[i].params, n + '.' + svc.notifies[i].name);
+        }
+    }
+}
+
+function idl_check(schema, type, value, path) {
+    var range, fields, i, error, key;
+
+    path = path || 'value';
+    if (typeof type === 'string') {
+        type = {name: type};
+    }
+    if (idl_ints.hasOwnProperty(type.name)) {
+        range = idl_ints[type.name];
+        if (typeof value === 'bigint' &&
+            (type.name === 'long' || type.name === 'ulong')) {
+            return (value < 0 && type.name === 'ulong') ?
+                path + ': ulong is expected' : undefined;
+        }
+        if (typeof value !== 'number' || value % 1 !== 0 ||
+            value < range[0] || value > range[1]) {
+            return path + ': ' + type.name + ' is expected';
+        }
+        return undefined;
+    }
+    switch (type.name) {
+    case 'any':
+        return undefined;
+    case 'void':
+        return (value === null || typeof value === 'undefined') ?
+            undefined : path + ': void is expected';
+    case 'float':
+    case 'double':
+        return (typeof value === 'number') ?
+            undefined : path + ': ' + type.name + ' is expected';
+    case 'bool':
+        return (typeof value === 'boolean') ?
+            undefined : path + ': bool is expected';
+    case 'string':
+        return (typeof value === 'string') ?
+            undefined : path + ': string is expected';
+    case 'bin':
+    case 'raw':
+        return (value instanceof Uint8Array || value instanceof ArrayBuffer) ?
+            undefined : path + ': ' + type.name + ' is expected';
+    case 'list':
+        if (!Array.isArray(value)) {
+            return path + ': list is expected';
+        }
+        for (i = 0; i < value.length; i++) {
+            if ((error = idl_check(schema, type.args[0], value[i],
+                                   path + '[' + i + ']'))) {
+                return error;
+            }
+        }
+        return undefined;
+    case 'map':
+        if (typeof Map !== 'undefined' && value instanceof Map) {
+            value.forEach(function(v, k) {
+                              error = error ||
+                                  idl_check(schema, type.args[0], k, path + ' key') ||
+                                  idl_check(schema, type.args[1], v,
+                                            path + '[' + String(k) + ']');
+                          });
+            return error;
+        }
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            return path + ': map is expected';
+        }
+        for (key in value) {
+            if (value.hasOwnProperty(key) &&
+                (error = idl_check(schema, type.args[1], value[key],
+                                   path + '.' + key))) {
+                return error;
+            }
+        }
+        return undefined;
+    default:
+        break;
+    }
+    if (schema.enums.hasOwnProperty(type.name)) {
+        return (schema.enums[type.name].values.indexOf(value) >= 0) ?
+            undefined : path + ': ' + type.name + ' is expected';
+    }
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return path + ': ' + type.name + ' is expected';
+    }
+    fields = schema.messages[type.name].fields;
+    return idl_check_fields(schema, fields, function(f) {
+                                return value[f.name];
+                            }, path + '.');
+}
+
+// checks values of fields or params, get(field) returns the value
+function idl_check_fields(schema, fields, get, prefix) {
+    var i, v, error;
+
+    for (i = 0; i < fields.length; i++) {
+        v = get(fields[i], i);
+        if (v === null || typeof v === 'undefined') {
+            if (fields[i].optional) {
+                continue;
+            }
+            return prefix + fields[i].name + ': required';
+        }
+        if ((error = idl_check(schema, fields[i].type, v, prefix + fields[i].name))) {
+            return error;
+        }
+    }
+    return undefined;
+}
+
+// matches method name split by "." with pattern,
+// "*" is one word and "#" is zero or more words
+function match_topic(pattern, words, i, j) {
+    if (i === pattern.length) {
+        return j === words.length;
+    }
+    if (pattern[i] === '#') {
+        return match_topic(pattern, words, i + 1, j) ||
+            (j < words.length && match_topic(pattern, words, i, j + 1));
+    }
+    if (j === words.length) {
+        return false;
+    }
+    return (pattern[i] === '*' || pattern[i] === words[j]) &&
+        match_topic(pattern, words, i + 1, j + 1);
+}
+
+// method name is raw in the old format
+function method_name(method) {
+    return (method instanceof Uint8Array) ?
+        utf8_decode(method, 0, method.length) : method;
+}
+
+function dispatch(handlers, method, params, self, reply) {
+    var fn, ret;
+
+    method = method_name(method);
+    fn = handlers[method];
+    if (typeof fn !== 'function' || !handlers.hasOwnProperty(method)) {
+        reply('method not found: ' + method, null);
+        return;
+    }
+    try {
+        ret = fn.apply(self, params instanceof Array ? params : [params]);
+    } catch (x) {
+        reply(error_message(x), null);
+        return;
+    }
+    if (ret && typeof ret.then === 'function') {
+        ret.then(function(result) {
+                     reply(null, typeof result === 'undefined' ? null : result);
+                 },
+                 function(x) {
+                     reply(error_message(x), null);
+                 });
+        return;
+    }
+    reply(null, typeof ret === 'undefined' ? null : ret);
+}
+
+function to_buffer(bytes) {
+    if (bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength) {
+        return bytes.buffer;
+    }
+    return bytes.buffer.slice(bytes.byteOffset,
+                              bytes.byteOffset + bytes.byteLength);
+}
+
+function keepalive_policy(opt) {
+    var policy = {interval: 30000, timeout: 10000, max_misses: 2,
+                  method: 'ping', notify: false};
+
+    if (!opt) {
+        return undefined;
+    }
+    if (typeof opt === 'object') {
+        for (var key in policy) {
+            if (typeof opt[key] === typeof policy[key]) {
+                policy[key] = opt[key];
+            }
+        }
+    }
+    return policy;
+}
+
+function websocket_transport(uri) {
+    var that = {readyState: 0}, sock;
+
+    that.open = function() {
+        sock = new WebSocket(uri);
+        sock.binaryType = 'arraybuffer';
+        sock.onopen = function(e) {
+            that.readyState = 1;
+            that.onopen(e);
+        };
+        sock.onerror = function(e) {
+            that.onerror(e);
+        };
+        sock.onclose = function(e) {
+            that.readyState = 3;
+            that.onclose(e);
+        };
+        sock.onmessage = function(e) {
+            that.onmessage(e.data);
+        };
+    };
+    that.send = function(bytes) {
+        sock.send(to_buffer(bytes));
+    };
+    that.close = function() {
+        that.readyState = 2;
+        sock.close();
+    };
+    return that;
+}
+
+function tcp_transport(uri) {
+    var that = {readyState: 0}, sock, tid;
+    var m = /^tcp:\/\/(\[[^\]]+\]|[^:\/]+):(\d+)\/?$/i.exec(uri);
+
+    that.open = function() {
+        if (!m) {
+            throw new Error('invalid uri: ' + uri);
+        }
+        // Node.js only
+        sock = require('net').connect(Number(m[2]), m[1].replace(/^\[|\]$/g, ''));
+        sock.on('connect', function() {
+            that.readyState = 1;
+            that.onopen({type: 'open'});
+        });
+        sock.on('data', function(data) {
+            that.onmessage(data);
+        });
+        sock.on('error', function(x) {
+            that.onerror({type: 'error', error: x});
+        });
+        sock.on('close', function(had_error) {
+            clearTimeout(tid);
+            that.readyState = 3;
+            that.onclose({type: 'close', wasClean: !had_error});
+        });
+    };
+    that.send = function(bytes) {
+        sock.write(bytes);
+    };
+    that.close = function() {
+        that.readyState = 2;
+        // a dead peer never finishes the close, so give up in a while
+        tid = setTimeout(function() {
+                             sock.destroy();
+                         }, 3000);
+        sock.end(function() {
+                     sock.destroy();
+                 });
+    };
+    return that;
+}
+
+function create_transport(uri, options) {
+    var factory = options && options.transport, scheme;
+
+    if (typeof factory !== 'function') {
+        scheme = factory || (/^([a-z][a-z0-9+.\-]*):/i.exec(uri) || [])[1];
+        factory = scheme &&
+            msgpack.rpc.transports[scheme.toLowerCase()];
+    }
+    if (typeof factory !== 'function') {
+        throw new Error('unknown transport: ' + scheme);
+    }
+    return factory(uri, options);
+}
+
+function reconnect_policy(opt) {
+    var policy = {delay: 1000, multiplier: 2, max_delay: 30000,
+                  jitter: 0.5, max_attempts: Infinity};
+
+    if (!opt) {
+        return undefined;
+    }
+    if (typeof opt === 'object') {
+        for (var key in policy) {
+            if (typeof opt[key] === 'number') {
+                policy[key] = opt[key];
+            }
+        }
+    }
+    return policy;
+}
+
+function msgpackclient(uri, callbacks, options) {
+    var sock, msgid = -1, npending = 0, waiting = [];
+    var requests = {}, that = {}, decoder;
+    var exts = ext_registry();
+    var codec = (options && options.codec) || builtin_codec(exts, options);
+    var buffer = [], methods = {};
+    var max_pending = (options && options.max_pending) || Infinity;
+    var reconnect = reconnect_policy(options && options.reconnect);
+    var attempts = 0, rtid, suspended = false;
+    var keepalive = keepalive_policy(options && options.keepalive);
+    var ktid, misses = 0, pinged, heard;
+    var listeners = {}, subscriptions = [], fallback;
+    var state = 'idle';
+
+    function listeners_of(name) {
+        // a listener can remove itself or others while emitting
+        return listeners[name] ? listeners[name].slice() : [];
+    }
+    // a throwing listener must break neither other listeners nor
+    // the client, the error is reported as handler_error with info
+    function run_listener(fn, e, info) {
+        try {
+            fn.call(that, e);
+        } catch (x) {
+            // an error of a handler_error listener is dropped not to loop
+            if (e.type !== 'handler_error') {
+                info.type = 'handler_error';
+                info.error = x;
+                recv_event(info);
+            }
+        }
+    }
+    function emit(name, e) {
+        var fns = listeners_of(name), i;
+
+        for (i = 0; i < fns.length; i++) {
+            run_listener(fns[i], e, {event: name});
+        }
+    }
+    function take_request(id) {
+        var req = requests[id];
+
+        if (req) {
+            clearTimeout(req.tid);
+            if (req.signal) {
+                req.signal.removeEventListener('abort', req.onabort);
+            }
+            delete requests[id];
+            npending--;
+        }
+        return req;
+    }
+    function next_msgid() {
+        // npending never reaches 2^32, so there is a free id
+        do {
+            msgid = (msgid === 0xffffffff) ? 0 : msgid + 1;
+        } while (requests.hasOwnProperty(msgid));
+        return msgid;
+    }
+    function fail(callback, type, method, id, start, reason) {
+        if (typeof callback === 'function') {
+            callback({error: local_error(type, method,
+                                         {msgid: id, elapsed: Date.now() - start,
+                                          reason: reason}),
+                      result: undefined});
+        }
+    }
+    function enqueue(args) {
+        var w = {args: args, start: Date.now()};
+
+        if (args.signal) {
+            w.onabort = function() {
+                var i = waiting.indexOf(w);
+                if (i >= 0) {
+                    waiting.splice(i, 1);
+                    fail(dequeue(w).callback, 'cancelled', args.method,
+                         undefined, w.start);
+                }
+            };
+            args.signal.addEventListener('abort', w.onabort);
+        }
+        waiting.push(w);
+    }
+    function dequeue(w) {
+        if (w.onabort) {
+            w.args.signal.removeEventListener('abort', w.onabort);
+        }
+        return w.args;
+    }
+    function drain() {
+        var w;
+
+        while (waiting.length > 0 && npending < max_pending) {
+            w = waiting.shift();
+            send_request(next_msgid(), dequeue(w), w.start);
+        }
+    }
+    // a request which is dropped before it is sent must not be sent
+    function unbuffer(id) {
+        buffer = buffer.filter(function(entry) {
+                                   return entry.id !== id;
+                               });
+    }
+    function timeout_request(id) {
+        var req = take_request(id);
+
+        unbuffer(id);
+        if (req) {
+            fail(req.callback, 'timeout', req.method, id, req.start);
+        }
+        drain();
+    }
+    function cancel_request(id) {
+        var req = take_request(id);
+
+        if (!req) {
+            return;
+        }
+        unbuffer(id);
+        // the server knows only a sent request
+        if (options && options.cancel_method && req.sent &&
+            sock.readyState === 1) {
+            send_notify({method: options.cancel_method, params: [id]});
+        }
+        fail(req.callback, 'cancelled', req.method, id, req.start);
+        drain();
+    }
+    function fail_requests(type, keep_idempotent, reason) {
+        var ids = [], req, i, queued = waiting;
+
+        for (var id in requests) {
+            ids.push(id);
+        }
+        for (i = 0; i < ids.length; i++) {
+            req = requests[ids[i]];
+            if (keep_idempotent && req.idempotent) {
+                // resend after the next open unless it is still buffered
+                if (req.sent) {
+                    req.sent = false;
+                    req.resend = true;
+                }
+                continue;
+            }
+            take_request(ids[i]);
+            fail(req.callback, type, req.method, Number(ids[i]), req.start, reason);
+        }
+        waiting = [];
+        for (i = 0; i < queued.length; i++) {
+            if (keep_idempotent && queued[i].args.idempotent) {
+                waiting.push(queued[i]);
+                continue;
+            }
+            req = dequeue(queued[i]);
+            fail(req.callback, type, req.method, undefined, queued[i].start, reason);
+        }
+        buffer = buffer.filter(function(entry) {
+                                   return typeof entry.id !== 'number' ||
+                                       requests.hasOwnProperty(entry.id);
+                               });
+    }
+    function resend() {
+        for (var id in requests) {
+            if (requests[id].resend) {
+                delete requests[id].resend;
+                requests[id].sent = true;
+                sock.send(requests[id].data);
+            }
+        }
+    }
+    function flush() {
+        var n = buffer.length;
+        for (var i = 0; i < n; i++) {
+            sock.send(buffer[i].data);
+            if (requests.hasOwnProperty(buffer[i].id)) {
+                requests[buffer[i].id].sent = true;
+            }
+        }
+        buffer = [];
+    }
+    function send(data, id) {
+        // connected state
+        if (sock.readyState === 1) {
+            sock.send(data);
+            if (requests.hasOwnProperty(id)) {
+                requests[id].sent = true;
+            }
+        } else {
+            buffer[buffer.length] = {data: data, id: id};
+        }
+    }
+    function send_request(id, args, start) {
+        var frame, data, timeout = args.timeout || 30000;
+
+        start = start || Date.now();
+        if (args.signal && args.signal.aborted) {
+            fail(args.callback, 'cancelled', args.method, undefined, start);
+            return;
+        }
+        frame = [0, id, args.method];
+        frame.push(args.params);
+        // encode before the request is registered not to leak it
+        try {
+            data = to_uint8(codec.encode(frame));
+        } catch (x) {
+            if (typeof args.callback === 'function') {
+                args.callback({error: new msgpackerror('encode', args.method, x,
+                                                       {elapsed: Date.now() - start}),
+                               result: undefined});
+            }
+            return;
+        }
+        requests[id] = {idempotent: !!args.idempotent, method: args.method,
+                        start: start, data: data};
+        npending++;
+        if (args.callback && typeof args.callback === 'function') {
+            requests[id].callback = args.callback;
+        }
+        // drop the request even if no response comes
+        requests[id].tid = setTimeout(function() {
+                                          timeout_request(id);
+                                      }, timeout);
+        if (args.signal) {
+            requests[id].signal = args.signal;
+            requests[id].onabort = function() {
+                cancel_request(id);
+            };
+            args.signal.addEventListener('abort', requests[id].onabort);
+        }
+        send(data, id);
+    }
+    function send_notify(args) {
+        var frame;
 
-function msgpackclient(uri, callbacks) {
-    var sock, msgid = -1;
-    var requests = {}, that = {}, unpacker = new msgpack.unpacker();
-    var buffer = [];
+        frame = [2, args.method];
+        frame.push(args.params);
+        send(to_uint8(codec.encode(frame)));
+    }
+    function reply_to(id) {
+        var s = sock;
 
-    function timeout_request(id) {
-        if (requests[id] && typeof requests[id].callback === 'function') {
-            requests[id].callback({error: "timeout", result: undefined});
-            delete requests[id];
+        return function(error, result) {
+            // the request came from a socket which is already gone
+            if (s !== sock || sock.readyState !== 1) {
+                return;
+            }
+            sock.send(encode_response(codec, id, error, result));
+        };
+    }
+    function start_keepalive() {
+        stop_keepalive();
+        misses = 0;
+        if (keepalive) {
+            ktid = setTimeout(ping, keepalive.interval);
         }
     }
-    function flush() {
-        var n = buffer.length;
-        for (var i = 0; i < n; i++) {
-            sock.send(buffer[i]);
+    function stop_keepalive() {
+        if (typeof ktid !== 'undefined') {
+            clearTimeout(ktid);
+            ktid = undefined;
         }
-        buffer = [];
     }
-    function send(data) {
-        // connected state
-        if (sock.readyState === 1) {
-            sock.send(data.buffer);
+    function ping() {
+        heard = undefined;
+        pinged = Date.now();
+        if (keepalive.notify) {
+            send_notify({method: keepalive.method, params: []});
         } else {
-            buffer[buffer.length] = data.buffer;
+            that.call_async({method: keepalive.method, params: [],
+                             timeout: keepalive.timeout});
+        }
+        ktid = setTimeout(check_alive, keepalive.timeout);
+    }
+    function check_alive() {
+        ktid = undefined;
+        misses = (typeof heard !== 'undefined') ? 0 : misses + 1;
+        recv_event({type: 'keepalive', misses: misses,
+                    rtt: (misses === 0) ? heard - pinged : undefined});
+        if (misses >= keepalive.max_misses) {
+            close_dead();
+            return;
         }
+        ktid = setTimeout(ping, Math.max(0, keepalive.interval - keepalive.timeout));
     }
-    function send_request(id, args) {
-        var frame, pack, data, timeout = 0;
+    // a dead connection may never fire close, so close it here
+    function close_dead() {
+        var s = sock, onclose = s.onclose;
 
-        requests[id] = {};
-        if (args.callback && typeof args.callback === 'function') {
-            requests[id].callback = args.callback;
-            timeout = args.timeout || 30000;
+        s.onopen = s.onmessage = s.onerror = s.onclose = function() {};
+        try {
+            s.close();
+        } catch (x) {
         }
-        frame = [0, id, args.method];
-        frame.push(args.params);
-        pack = msgpack.pack(frame);
-        data = new Uint8Array(pack);
-        if (timeout > 0) {
-            requests[id].tid = setTimeout(function() {
-                                              timeout_request(id);
-                                          }, timeout);
+        s.readyState = 3;
+        onclose({type: 'close', code: 1006, reason: 'keepalive timeout',
+                 wasClean: false});
+    }
+    // the rest of the stream can not be decoded
+    function broken_stream(x) {
+        decoder = codec.decoder();
+        recv_event({type: 'protocol_error', reason: x.message, error: x});
+        fail_requests('protocol', true, x.message);
+        sock.close();
+    }
+    // some codecs (e.g. msgpack-lite) decode already in feed
+    function feed_bytes(bytes) {
+        try {
+            decoder.feed(bytes);
+            return true;
+        } catch (x) {
+            broken_stream(x);
+            return false;
         }
-        send(data);
     }
-    function send_notify(args) {
-        var frame, pack, data;
-
-        frame = [2, args.method];
-        frame.push(args.params);
-        pack = msgpack.pack(frame);
-        data = new Uint8Array(pack);
-        send(data);
+    function next_frame() {
+        try {
+            return decoder.next();
+        } catch (x) {
+            broken_stream(x);
+            return undefined;
+        }
     }
-    function recv_message(e) {
-        var obj, id;
-        var ary = new Uint8Array(e.data);
-        var chunk = [];
+    function recv_message(data) {
+        var obj, id, req;
 
-        for (var i = 0, l = ary.length; i < l; i++) {
-            chunk[i] = ary[i];
+        // time of the first message after ping
+        if (typeof heard === 'undefined') {
+            heard = Date.now();
         }
-        unpacker.feed(chunk);
-        while ((obj = unpacker.unpack()) !== undefined) {
+        if (!feed_bytes(to_uint8(data))) {
+            return;
+        }
+        while ((obj = next_frame()) !== undefined) {
+            if (!Array.isArray(obj)) {
+                recv_event({type: 'protocol_error',
+                            reason: 'invalid frame', frame: obj});
+                continue;
+            }
             switch (obj[0]) {
+            case 0: // request
+                id = to_msgid(obj[1]);
+                if (typeof id === 'undefined') {
+                    recv_event({type: 'protocol_error',
+                                reason: 'invalid msgid', frame: obj});
+                    break;
+                }
+                dispatch(methods, obj[2], obj[3], that, reply_to(id));
+                break;
             case 1: // response
-                id = obj[1];
-                if (typeof id !== 'number') {
+                id = to_msgid(obj[1]);
+                if (typeof id === 'undefined') {
+                    recv_event({type: 'protocol_error',
+                                reason: 'invalid msgid', frame: obj});
                     break;
                 }
-                if (requests[id] && typeof requests[id].callback === 'function') {
-                    clearTimeout(requests[id].tid);
-                    requests[id].callback({error: obj[2], result: obj[3]});
-                    delete requests[id];
+                req = take_request(id);
+                if (req && typeof req.callback === 'function') {
+                    req.callback(response_of(req, id, obj));
                 }
+                drain();
                 break;
             case 2: // notify
-                if (that.callbacks && typeof that.callbacks.notify === 'function') {
-                    that.callbacks.notify({method: obj[1], params: obj[2]});
-                }
+                recv_notify({method: method_name(obj[1]), params: obj[2]});
                 break;
             default:
                 break;
             }
         }
     }
+    function response_of(req, id, obj) {
+        var info = {msgid: id, elapsed: Date.now() - req.start};
+
+        if (obj.length !== 4) {
+            return {error: new protocol_error(req.method, 'invalid response', info),
+                    result: undefined};
+        }
+        if (obj[2] === null || typeof obj[2] === 'undefined') {
+            return {error: null, result: obj[3]};
+        }
+        return {error: new remote_error(req.method, obj[2], info,
+                                        (options && options.normalize_error) ?
+                                        options.normalize_error(obj[2], req.method) :
+                                        undefined),
+                result: obj[3]};
+    }
+    function recv_notify(n) {
+        var fns, exact, matched, i;
+
+        function run(fn) {
+            run_listener(fn, n, {method: n.method, params: n.params});
+        }
+
+        if (that.callbacks && typeof that.callbacks.notify === 'function') {
+            run(that.callbacks.notify);
+        }
+        // listeners of every notify do not make it handled
+        exact = listeners_of('notify:' + n.method);
+        matched = exact.length > 0;
+        fns = listeners_of('notify').concat(exact);
+        for (i = 0; i < subscriptions.length; i++) {
+            if (typeof n.method === 'string' &&
+                match_topic(subscriptions[i].topic, n.method.split('.'), 0, 0)) {
+                fns.push(subscriptions[i].fn);
+                matched = true;
+            }
+        }
+        if (!matched && fallback) {
+            fns.push(fallback);
+        }
+        for (i = 0; i < fns.length; i++) {
+            run(fns[i]);
+        }
+    }
     function recv_event(e) {
         if (that.callbacks && typeof that.callbacks.event === 'function') {
-            that.callbacks.event(e);
+            run_listener(that.callbacks.event, e, {event: 'event'});
+        }
+        emit('event', e);
+        emit(e.type, e);
+    }
+    function set_state(next, e) {
+        var previous = state;
+
+        if (next === previous) {
+            return;
+        }
+        state = that.state = next;
+        recv_event({type: 'statechange', state: next, previous: previous,
+                    code: e && e.code, reason: e && e.reason,
+                    clean: e && e.wasClean});
+    }
+    function schedule_reconnect() {
+        var delay;
+
+        if (!reconnect || suspended || typeof rtid !== 'undefined') {
+            return;
+        }
+        if (attempts >= reconnect.max_attempts) {
+            recv_event({type: 'gave_up', attempts: attempts});
+            attempts = 0;
+            return;
+        }
+        // cap before jitter, so that the delay stays finite and
+        // clients at max_delay still spread out
+        delay = Math.min(reconnect.delay * Math.pow(reconnect.multiplier, attempts),
+                         reconnect.max_delay);
+        delay += delay * reconnect.jitter * (Math.random() * 2 - 1);
+        delay = Math.max(0, Math.min(delay, reconnect.max_delay));
+        attempts++;
+        recv_event({type: 'reconnecting', attempt: attempts, delay: delay});
+        set_state('reconnecting');
+        rtid = setTimeout(function() {
+                              rtid = undefined;
+                              if (!try_connect()) {
+                                  schedule_reconnect();
+                              }
+                          }, delay);
+    }
+    function cancel_reconnect() {
+        if (typeof rtid !== 'undefined') {
+            clearTimeout(rtid);
+            rtid = undefined;
         }
     }
     function try_connect() {
         try {
-            sock = new WebSocket(that.uri);
+            sock = create_transport(that.uri, options);
         } catch (x) {
             return false;
         }
-        sock.binaryType = 'arraybuffer';
+        // a partial frame of the previous connection is garbage
+        decoder = codec.decoder();
         sock.onopen = function(e) {
+            set_state('open');
+            start_keepalive();
+            resend();
             flush();
+            drain();
+            recv_event(e);
+            if (attempts > 0) {
+                recv_event({type: 'reconnected', attempts: attempts});
+                attempts = 0;
+            }
+        };
+        sock.onerror = recv_event;
+        sock.onclose = function(e) {
+            stop_keepalive();
+            fail_requests('disconnected', true);
             recv_event(e);
+            set_state('closed', e);
+            schedule_reconnect();
         };
-        sock.onclose = sock.onerror = recv_event;
         sock.onmessage = recv_message;
+        try {
+            sock.open();
+        } catch (x) {
+            sock.readyState = 3;
+            return false;
+        }
+        set_state('connecting');
         return true;
     }
+    // returns true if the socket is closing
+    function stop(onclose) {
+        suspended = true;
+        cancel_reconnect();
+        stop_keepalive();
+        attempts = 0;
+        // connecting or connected state
+        if (typeof sock !== 'undefined' &&
+            (sock.readyState === 0 || sock.readyState === 1)) {
+            // no reconnect for a close by suspend or disconnect
+            sock.onclose = onclose;
+            sock.close();
+            return true;
+        }
+        return false;
+    }
 
     /**
      * do RPC async
@@ -184,23 +2532,134 @@ function msgpackclient(uri, callbacks) {
      * @param {Array} args.params params of request
      * @param {Function} [args.callback]
      * called this function when received response<br>
+     * if params can not be encoded, it is called at once
+     * with "encode" error whose error is the thrown one
      * @param {Number} [args.timeout]
-     * timeout time[ms], default 30000 ms
+     * timeout time[ms], default 30000 ms<br>
+     * a request without callback is also dropped after this time
+     * @param {AbortSignal} [args.signal]
+     * cancel the request when aborted,
+     * callback is called with "cancelled" error
+     * @param {Boolean} [args.idempotent]
+     * keep the request on suspend or close and resend it
+     * after resume or reconnect, otherwise callback is called
+     * with "suspended" or "disconnected" error
+     * @return {Boolean}
+     * false if the client is disconnected, otherwise the request
+     * is sent, queued or completed with "overflow" error
      * @see #event:response_callback
      */
     that.call_async = function(args) {
         // disconnecting or disconnected state
         if (typeof sock === 'undefined' || sock.readyState === 2 || sock.readyState === 3) {
-            return;
+            return false;
         }
-        msgid = (msgid == 0x0ffffffff) ? 0 : msgid + 1;
-        if (typeof requests[msgid] !== 'undefined') {
-            setTimeout(function() {
-                           that.call_async(args);
-                       }, 0);
-            return;
+        if (npending >= max_pending || waiting.length > 0) {
+            if (options && options.overflow === 'reject') {
+                fail(args.callback, 'overflow', args.method, undefined, Date.now());
+            } else {
+                enqueue(args);
+            }
+            return true;
+        }
+        send_request(next_msgid(), args);
+        return true;
+    };
+    /**
+     * do RPC async and return Promise
+     * @methodOf globalScope.msgpack.rpc.client.prototype
+     * @param {String} method method name of request
+     * @param {Array} params params of request
+     * @param {Hash} [options]
+     * @param {Number} [options.timeout]
+     * timeout time[ms], default 30000 ms
+     * @param {AbortSignal} [options.signal]
+     * cancel the request when aborted
+     * @param {Boolean} [options.idempotent]
+     * keep the request on suspend or close and resend it
+     * @return {Promise}
+     * resolved with the result of response,
+     * rejected with {@link globalScope.msgpack.rpc.error}
+     */
+    that.call = function(method, params, options) {
+        options = options || {};
+        return new Promise(function(resolve, reject) {
+            var accepted = that.call_async({
+                method: method,
+                params: params,
+                timeout: options.timeout,
+                signal: options.signal,
+                idempotent: options.idempotent,
+                callback: function(r) {
+                    if (r.error !== null && typeof r.error !== 'undefined') {
+                        reject(r.error);
+                    } else {
+                        resolve(r.result);
+                    }
+                }
+            });
+            if (!accepted) {
+                reject(new transport_error('disconnected', method, {elapsed: 0}));
+            }
+        });
+    };
+    /**
+     * create stubs of remote methods<br>
+     * any property of the returned Proxy is a stub which does
+     * {@link #call} with its arguments as params and returns Promise.
+     * property of a stub is a stub of the dotted method name
+     * @methodOf globalScope.msgpack.rpc.client.prototype
+     * @param {String} [namespace] prefix of method names
+     * @param {Hash} [options]
+     * options of {@link #call} for every stub
+     * @param {Hash} [options.methods]
+     * hash of method name and options of {@link #call}
+     * for the method, which override the above
+     * @return {Proxy} stubs
+     * @example
+     * var api = client.proxy('', {
+     *   'timeout': 10000,
+     *   'methods': {'users.get': {'timeout': 1000, 'idempotent': true}}
+     * });
+     * api.add(1, 2).then(function(sum) { ... });        // add
+     * api.users.get(id).then(function(user) { ... });   // users.get
+     */
+    that.proxy = function(namespace, options) {
+        options = options || {};
+        if (typeof Proxy === 'undefined') {
+            throw new Error('Proxy is not supported');
+        }
+
+        function options_of(method) {
+            var own = options.methods && options.methods.hasOwnProperty(method) ?
+                options.methods[method] : {};
+            var opt = {}, key;
+
+            for (key in options) {
+                if (key !== 'methods') {
+                    opt[key] = options[key];
+                }
+            }
+            for (key in own) {
+                opt[key] = own[key];
+            }
+            return opt;
+        }
+        function stub(method) {
+            return new Proxy(function() {}, {
+                get: function(target, name) {
+                    // not thenable, so that a stub can resolve a Promise
+                    if (typeof name !== 'string' || name === 'then') {
+                        return undefined;
+                    }
+                    return stub(method ? method + '.' + name : name);
+                },
+                apply: function(target, self, args) {
+                    return that.call(method, args, options_of(method));
+                }
+            });
         }
-        send_request(msgid, args);
+        return stub(namespace || '');
     };
     /**
      * send notify async
@@ -216,12 +2675,185 @@ function msgpackclient(uri, callbacks) {
         }
         send_notify(args);
     };
+    /**
+     * number of requests waiting for response,
+     * requests queued beyond max_pending are not counted
+     * @methodOf globalScope.msgpack.rpc.client.prototype
+     * @return {Number} number of pending requests
+     */
+    that.pending = function() {
+        return npending;
+    };
+    /**
+     * register extension type of the built-in codec
+     * @methodOf globalScope.msgpack.rpc.client.prototype
+     * @param {Number} type ext type code [0-111],
+     * 112-127 (0x70-0x7f) are reserved for the built-in codec
+     * @param {Function} cls class whose instances are packed as the type
+     * @param {Function} encode encode an instance to Uint8Array
+     * @param {Function} decode decode Uint8Array to an instance
+     * @throws {Error} if options.codec is given, whose ext types
+     * have to be registered to that codec
+     * @example
+     * client.register_ext(1, Money,
+     *   function(m) {
+     *     return msgpack.rpc.codec.encode([m.amount, m.currency]);
+     *   },
+     *   function(data) {
+     *     var d = msgpack.rpc.codec.decoder(), a;
+     *     d.feed(data);
+     *     a = d.next();
+     *     return new Money(a[0], a[1]);
+     *   });
+     */
+    that.register_ext = function(type, cls, encode, decode) {
+        if (options && options.codec) {
+            throw new Error('register_ext needs the built-in codec');
+        }
+        exts.register(type, cls, encode, decode);
+    };
+    /**
+     * add listener of event
+     * @methodOf globalScope.msgpack.rpc.client.prototype
+     * @param {String} name name of event<br>
+     * type of event (see {@link #event:event_callback}) such as
+     * open, close, error, reconnecting and reconnected,<br>
+     * "event" for every event,<br>
+     * "notify" for every notify (see {@link #event:notify_callback}) or
+     * "notify:" + method name for notify of the method
+     * @param {Function} fn called with the event as argument.
+     * if it throws, handler_error event fires
+     * @return {Object} this client
+     * @example
+     * client.on('notify:priceUpdate', function(n) {
+     *   console.log(n.params[0]);
+     * });
+     */
+    that.on = function(name, fn) {
+        (listeners[name] = listeners[name] || []).push(fn);
+        return that;
+    };
+    /**
+     * remove listener of event
+     * @methodOf globalScope.msgpack.rpc.client.prototype
+     * @param {String} name name of event
+     * @param {Function} [fn]
+     * listener to remove, all listeners of the event if omitted
+     * @return {Object} this client
+     */
+    that.off = function(name, fn) {
+        var fns = listeners[name], i;
+
+        if (!fns) {
+            return that;
+        }
+        for (i = fns.length - 1; i >= 0; i--) {
+            if (typeof fn === 'undefined' || fns[i] === fn ||
+                fns[i].listener === fn) {
+                fns.splice(i, 1);
+            }
+        }
+        if (fns.length === 0) {
+            delete listeners[name];
+        }
+        return that;
+    };
+    /**
+     * add listener which is removed after the first event
+     * @methodOf globalScope.msgpack.rpc.client.prototype
+     * @param {String} name name of event
+     * @param {Function} fn called with the event as argument
+     * @return {Object} this client
+     */
+    that.once = function(name, fn) {
+        function wrapper(e) {
+            that.off(name, wrapper);
+            fn.call(that, e);
+        }
+        // off() with the original listener finds the wrapper
+        wrapper.listener = fn;
+        return that.on(name, wrapper);
+    };
+    /**
+     * add handler of notify whose method matches the pattern<br>
+     * pattern is method name split by ".", where "*" matches
+     * one word and "#" matches zero or more words
+     * @methodOf globalScope.msgpack.rpc.client.prototype
+     * @param {String} pattern method name or pattern
+     * @param {Function} fn called with the notify as argument
+     * (see {@link #event:notify_callback}).
+     * if it throws, handler_error event fires
+     * @return {Object} this client
+     * @example
+     * client.subscribe('chat.*', function(n) {
+     *   // chat.join, chat.message, ...
+     * });
+     * client.subscribe('orders.#', function(n) {
+     *   // orders, orders.created, orders.item.added, ...
+     * });
+     */
+    that.subscribe = function(pattern, fn) {
+        subscriptions.push({pattern: pattern, topic: pattern.split('.'), fn: fn});
+        return that;
+    };
+    /**
+     * remove handler added by {@link #subscribe}
+     * @methodOf globalScope.msgpack.rpc.client.prototype
+     * @param {String} pattern method name or pattern
+     * @param {Function} [fn]
+     * handler to remove, all handlers of the pattern if omitted
+     * @return {Object} this client
+     */
+    that.unsubscribe = function(pattern, fn) {
+        var i;
+
+        for (i = subscriptions.length - 1; i >= 0; i--) {
+            if (subscriptions[i].pattern === pattern &&
+                (typeof fn === 'undefined' || subscriptions[i].fn === fn)) {
+                subscriptions.splice(i, 1);
+            }
+        }
+        return that;
+    };
+    /**
+     * set handler of notify which no pattern of
+     * {@link #subscribe} matches and which has no listener of
+     * "notify:" + method name ({@link #on}). callbacks.notify and
+     * listeners of "notify" see every notify, so they do not count
+     * @methodOf globalScope.msgpack.rpc.client.prototype
+     * @param {Function} fn
+     * called with the notify as argument, pass null to remove
+     * @return {Object} this client
+     */
+    that.fallback = function(fn) {
+        fallback = (typeof fn === 'function') ? fn : undefined;
+        return that;
+    };
+    /**
+     * expose method which a server can call
+     * @methodOf globalScope.msgpack.rpc.client.prototype
+     * @param {String} method method name
+     * @param {Function} fn
+     * called with params of request as arguments and
+     * can return a value, throw an error or return a Promise.
+     * pass null to remove the method
+     */
+    that.expose = function(method, fn) {
+        if (typeof fn === 'function') {
+            methods[method] = fn;
+        } else {
+            delete methods[method];
+        }
+    };
     /**
      * resume client work
      * @methodOf globalScope.msgpack.rpc.client.prototype
      * @return {Boolean} success to resume or not
      */
     that.resume = function() {
+        suspended = false;
+        cancel_reconnect();
+        attempts = 0;
         if (typeof sock === 'undefined') {
             return try_connect();
         }
@@ -237,30 +2869,47 @@ function msgpackclient(uri, callbacks) {
         return try_connect();
     };
     /**
-     * suspend client work
+     * suspend client work<br>
+     * pending requests are completed with "suspended" error
+     * except idempotent ones, which are resent after resume
      * @methodOf globalScope.msgpack.rpc.client.prototype
      */
     that.suspend = function() {
-        for (var id in requests) {
-            clearTimeout(requests[id].tid);
-            delete requests[id];
-        }
-        // connecting or connected state
-        if (typeof sock !== 'undefined' &&
-            (sock.readyState === 0 || sock.readyState === 1)) {
-            sock.close();
+        stop(recv_event);
+        set_state('suspended');
+        fail_requests('suspended', true);
+        // idempotent requests keep their msgid
+        if (npending === 0) {
+            msgid = -1;
         }
-        msgid = -1;
     };
     /**
-     * delete client
+     * delete client<br>
+     * all pending requests are completed with "disconnected" error
      * @methodOf globalScope.msgpack.rpc.client.prototype
      */
-    that.disconnect = that.suspend;
+    that.disconnect = function() {
+        var closing = stop(function(e) {
+                               recv_event(e);
+                               set_state('closed', e);
+                           });
+
+        set_state(closing ? 'closing' : 'closed');
+        fail_requests('disconnected', false);
+        msgid = -1;
+    };
 
     // initialize
     that.uri = uri;
     that.callbacks = callbacks;
+    /**
+     * state of the client<br>
+     * idle, connecting, open, closing, closed, suspended or
+     * reconnecting. statechange event fires when it changes
+     * @name globalScope.msgpack.rpc.client#state
+     * @type String
+     */
+    that.state = state;
     if (!try_connect()) {
         return undefined;
     }
@@ -272,7 +2921,43 @@ function msgpackclient(uri, callbacks) {
      * @event
      * @param {Hash} e
      * @param {String} e.type type of event
-     * [open, close, error]
+     * [open, close, error, reconnecting, reconnected, gave_up,
+     * protocol_error, handler_error, statechange, keepalive]
+     * @param {Number} [e.attempt]
+     * number of the attempt (reconnecting)
+     * @param {Number} [e.delay]
+     * delay time[ms] until the attempt (reconnecting)
+     * @param {Number} [e.attempts]
+     * number of attempts made (reconnected, gave_up)
+     * @param {String} [e.reason]
+     * reason of protocol_error
+     * @param {Array} [e.frame]
+     * dropped frame (protocol_error)
+     * @param {String} [e.method]
+     * method name of notify if a notify handler threw (handler_error)
+     * @param {Array} [e.params]
+     * params of notify if a notify handler threw (handler_error)
+     * @param {String} [e.event]
+     * name of event if an event listener threw (handler_error)
+     * @param {Object} [e.error]
+     * thrown error of a listener (handler_error) or
+     * error of decoding (protocol_error)
+     * @param {String} [e.state]
+     * new state of the client (statechange)
+     * @param {String} [e.previous]
+     * previous state of the client (statechange)
+     * @param {Number} [e.code]
+     * close code if the socket is closed (statechange)
+     * @param {String} [e.reason]
+     * close reason if the socket is closed (statechange)
+     * @param {Boolean} [e.clean]
+     * whether the close was clean if the socket is closed
+     * (statechange)
+     * @param {Number} [e.misses]
+     * number of pings without reply in a row (keepalive)
+     * @param {Number} [e.rtt]
+     * time[ms] from ping to the first message after it,
+     * undefined if missed (keepalive)
      */
     /**
      * fire when receive notify message from a server
@@ -287,9 +2972,290 @@ function msgpackclient(uri, callbacks) {
      * @name globalScope.msgpack.rpc.client#response_callback
      * @event
      * @param {Hash} r
-     * @param {String} r.error
-     * error message from a server
+     * @param {globalScope.msgpack.rpc.error} r.error
+     * null if succeeded, otherwise one of
+     * {@link globalScope.msgpack.rpc.errors} whose type tells
+     * what happened and which has method, msgid and elapsed
      * @param {Object that you define} r.result
      * response object from a server
      */
-}})(this);
+}
+
+function msgpackserver(handlers, options) {
+    var that = {}, conns = [], servers = [];
+    var exts = ext_registry();
+    var codec = (options && options.codec) || builtin_codec(exts, options);
+
+    function accept(sock) {
+        var conn = {}, decoder = codec.decoder(), requests = {}, msgid = -1;
+
+        function send(data) {
+            // connected state
+            if (sock.readyState === 1) {
+                sock.send(to_buffer(data));
+            }
+        }
+        function reply_to(id) {
+            return function(error, result) {
+                send(encode_response(codec, id, error, result));
+            };
+        }
+        // requests to the client by conn.call
+        function take_request(id) {
+            var req = requests[id];
+
+            if (req) {
+                clearTimeout(req.tid);
+                delete requests[id];
+            }
+            return req;
+        }
+        function fail_requests() {
+            var id, req;
+
+            for (id in requests) {
+                req = take_request(id);
+                req.reject(new transport_error('disconnected', req.method,
+                                               {msgid: Number(id),
+                                                elapsed: Date.now() - req.start}));
+            }
+        }
+        function recv_response(obj) {
+            var id = to_msgid(obj[1]), req, info;
+
+            req = (typeof id !== 'undefined') ? take_request(id) : undefined;
+            if (!req) {
+                return;
+            }
+            info = {msgid: id, elapsed: Date.now() - req.start};
+            if (obj.length !== 4) {
+                req.reject(new protocol_error(req.method, 'invalid response', info));
+            } else if (obj[2] === null || typeof obj[2] === 'undefined') {
+                req.resolve(obj[3]);
+            } else {
+                req.reject(new remote_error(req.method, obj[2], info));
+            }
+        }
+        // the rest of the stream can not be decoded,
+        // only this connection is closed
+        function broken_stream() {
+            decoder = codec.decoder();
+            sock.close();
+        }
+        // some codecs (e.g. msgpack-lite) decode already in feed
+        function feed_bytes(bytes) {
+            try {
+                decoder.feed(bytes);
+                return true;
+            } catch (x) {
+                broken_stream();
+                return false;
+            }
+        }
+        function next_frame() {
+            try {
+                return decoder.next();
+            } catch (x) {
+                broken_stream();
+                return undefined;
+            }
+        }
+        function recv_message(e) {
+            var obj;
+
+            if (!feed_bytes(to_uint8(e.data))) {
+                return;
+            }
+            while ((obj = next_frame()) !== undefined) {
+                if (!Array.isArray(obj)) {
+                    continue;
+                }
+                switch (obj[0]) {
+                case 0: // request
+                    // no response for a request with invalid msgid
+                    if (typeof to_msgid(obj[1]) !== 'undefined') {
+                        dispatch(that.handlers, obj[2], obj[3], conn,
+                                 reply_to(to_msgid(obj[1])));
+                    }
+                    break;
+                case 1: // response to conn.call
+                    recv_response(obj);
+                    break;
+                case 2: // notify
+                    dispatch(that.handlers, obj[1], obj[2], conn,
+                             function() {});
+                    break;
+                default:
+                    break;
+                }
+            }
+        }
+
+        /**
+         * send notify to the client of the connection
+         * @param {String} method method name of notify
+         * @param {Array} params params of notify
+         */
+        conn.notify = function(method, params) {
+            send(to_uint8(codec.encode([2, method, params])));
+        };
+        /**
+         * call a method which the client exposes
+         * (see {@link globalScope.msgpack.rpc.client#expose})
+         * @param {String} method method name of request
+         * @param {Array} params params of request
+         * @param {Hash} [options]
+         * @param {Number} [options.timeout]
+         * timeout time[ms], default 30000 ms
+         * @return {Promise}
+         * resolved with the result of response,
+         * rejected with {@link globalScope.msgpack.rpc.error}
+         */
+        conn.call = function(method, params, options) {
+            var timeout = (options && options.timeout) || 30000;
+
+            return new Promise(function(resolve, reject) {
+                var start = Date.now(), data, id;
+
+                // closing or closed state
+                if (sock.readyState !== 1) {
+                    reject(new transport_error('disconnected', method, {elapsed: 0}));
+                    return;
+                }
+                do {
+                    msgid = (msgid === 0xffffffff) ? 0 : msgid + 1;
+                } while (requests.hasOwnProperty(msgid));
+                id = msgid;
+                try {
+                    data = to_uint8(codec.encode([0, id, method, params]));
+                } catch (x) {
+                    reject(new msgpackerror('encode', method, x, {elapsed: 0}));
+                    return;
+                }
+                requests[id] = {method: method, start: start,
+                                resolve: resolve, reject: reject};
+                requests[id].tid = setTimeout(function() {
+                                                  var req = take_request(id);
+
+                                                  if (req) {
+                                                      req.reject(new timeout_error(method, {
+                                                                     msgid: id,
+                                                                     elapsed: Date.now() - start}));
+                                                  }
+                                              }, timeout);
+                send(data);
+            });
+        };
+        /**
+         * close the connection
+         */
+        conn.close = function() {
+            sock.close();
+        };
+
+        function drop() {
+            for (var i = 0; i < conns.length; i++) {
+                if (conns[i] === conn) {
+                    conns.splice(i, 1);
+                    break;
+                }
+            }
+            fail_requests();
+        }
+
+        sock.binaryType = 'arraybuffer';
+        sock.onmessage = recv_message;
+        sock.onclose = drop;
+        // an error of one socket (e.g. broken frame) must not reach
+        // the process, only this connection is closed
+        sock.onerror = function() {
+            drop();
+            try {
+                sock.close();
+            } catch (x) {
+                // already closed
+            }
+        };
+        conns.push(conn);
+        return conn;
+    }
+
+    /**
+     * register handler of method
+     * @methodOf globalScope.msgpack.rpc.server.prototype
+     * @param {String} method method name
+     * @param {Function} fn handler
+     */
+    that.register = function(method, fn) {
+        that.handlers[method] = fn;
+    };
+    /**
+     * register extension type of the built-in codec
+     * @methodOf globalScope.msgpack.rpc.server.prototype
+     * @param {Number} type ext type code [0-111],
+     * 112-127 (0x70-0x7f) are reserved for the built-in codec
+     * @param {Function} cls class whose instances are packed as the type
+     * @param {Function} encode encode an instance to Uint8Array
+     * @param {Function} decode decode Uint8Array to an instance
+     * @throws {Error} if options.codec is given
+     * @see globalScope.msgpack.rpc.client#register_ext
+     */
+    that.register_ext = function(type, cls, encode, decode) {
+        if (options && options.codec) {
+            throw new Error('register_ext needs the built-in codec');
+        }
+        exts.register(type, cls, encode, decode);
+    };
+    /**
+     * unregister handler of method
+     * @methodOf globalScope.msgpack.rpc.server.prototype
+     * @param {String} method method name
+     */
+    that.unregister = function(method) {
+        delete that.handlers[method];
+    };
+    /**
+     * serve an accepted websocket
+     * @methodOf globalScope.msgpack.rpc.server.prototype
+     * @param {WebSocket} sock websocket in connected state
+     * @return {Object} connection
+     */
+    that.accept = accept;
+    /**
+     * serve every connection of a websocket server
+     * @methodOf globalScope.msgpack.rpc.server.prototype
+     * @param {Object} wss websocket server which emits 'connection'
+     * (e.g. require('ws').Server)
+     */
+    that.listen = function(wss) {
+        wss.on('connection', accept);
+        servers.push(wss);
+    };
+    /**
+     * close all connections and websocket servers
+     * @methodOf globalScope.msgpack.rpc.server.prototype
+     */
+    that.close = function() {
+        var i;
+
+        for (i = 0; i < servers.length; i++) {
+            servers[i].removeListener('connection', accept);
+            servers[i].close();
+        }
+        for (i = conns.length - 1; i >= 0; i--) {
+            conns[i].close();
+        }
+        servers = [];
+    };
+
+    // initialize
+    that.handlers = {};
+    for (var method in handlers) {
+        if (handlers.hasOwnProperty(method)) {
+            that.handlers[method] = handlers[method];
+        }
+    }
+    return that;
+}
+
+})(typeof global === 'object' ? global : this);
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/*{id:msgpack.rpc.tcpserver.js,ver:0.10,license:"MIT",author:"nori.0428@gmail.com"}*/
+
+// stand-in MessagePack-RPC server over plain TCP to try the tcp://
+// transport of msgpack.rpc.js without other implementations
+//
+// usage: node msgpack.rpc.tcpserver.js [port]
+//
+// methods
+//   echo(value):   returns value
+//   add(a, b):     returns a + b
+//   sleep(ms):     returns ms after ms milliseconds
+//   fail(message): error response of message
+//   mute():        stops reading the connection without closing it
+//                  like a dead peer, no response
+// port is 18800 by default, 0 takes a free port
+//
+// $ node msgpack.rpc.tcpserver.js 18800 &
+// $ node -e "require('./msgpack.rpc.js').client('tcp://127.0.0.1:18800', {}).call('add', [1, 2]).then(console.log)"
+
+var net = require('net');
+var path = require('path');
+var rpc = require(path.join(__dirname, 'msgpack.rpc.js'));
+
+// net.Socket as the websocket which msgpack.rpc.server accepts
+function adapt(s) {
+    var ws = {readyState: 1};
+
+    ws.send = function(data) {
+        s.write(Buffer.from(data));
+    };
+    ws.close = function() {
+        ws.readyState = 2;
+        s.end();
+    };
+    ws.mute = function() {
+        s.pause();
+        ws.readyState = 2;
+    };
+    s.on('data', function(data) {
+        ws.onmessage({data: data});
+    });
+    // an error closes and drops only this connection
+    s.on('error', function(x) {
+        s.destroy();
+        ws.onerror({type: 'error', error: x});
+    });
+    s.on('close', function() {
+        ws.readyState = 3;
+        ws.onclose({type: 'close'});
+    });
+    return ws;
+}
+
+var server = new rpc.server({
+    'echo': function(value) {
+        return value;
+    },
+    'add': function(a, b) {
+        return a + b;
+    },
+    'sleep': function(ms) {
+        return new Promise(function(resolve) {
+                               setTimeout(function() {
+                                              resolve(ms);
+                                          }, ms);
+                           });
+    },
+    'fail': function(message) {
+        throw message;
+    },
+    'mute': function() {
+        // the response is dropped as the socket is no longer open
+        this.mute();
+    }
+});
+
+var port = Number(process.argv[2] || 18800);
+
+net.createServer(function(s) {
+    var ws = adapt(s), conn = server.accept(ws);
+
+    conn.mute = ws.mute;
+}).listen(port, '127.0.0.1', function() {
+    // port 0 takes a free port
+    console.log('listening on tcp://127.0.0.1:' + this.address().port);
+});
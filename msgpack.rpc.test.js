@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+/*{id:msgpack.rpc.test.js,ver:0.10,license:"MIT",author:"nori.0428@gmail.com"}*/
+
+// tests of msgpack.rpc.js on Node.js, no other module is needed
+//
+// usage: node msgpack.rpc.test.js
+//
+// codec: byte vectors of the MessagePack spec, round trips and
+//        feeds split at every byte
+// rpc:   a client over tcp:// and the stand-in server of
+//        msgpack.rpc.tcpserver.js, a server with the old raw format
+// exits with 1 if a test fails
+
+var assert = require('assert');
+var path = require('path');
+var child_process = require('child_process');
+var rpc = require(path.join(__dirname, 'msgpack.rpc.js'));
+
+var tests = [];
+
+function test(name, fn) {
+    tests.push({name: name, fn: fn});
+}
+
+function hex(bytes) {
+    return Buffer.from(bytes).toString('hex');
+}
+
+function bytes_of(h) {
+    return new Uint8Array(Buffer.from(h, 'hex'));
+}
+
+function decode(bytes) {
+    var decoder = rpc.codec.decoder();
+
+    decoder.feed(bytes);
+    return decoder.next();
+}
+
+function round_trip(v) {
+    return decode(rpc.codec.encode(v));
+}
+
+// frames which a server sends to a socket for a frame from it
+function serve(options, frame) {
+    var server = new rpc.server({
+        'echo': function(v) {
+            return v;
+        }
+    }, options);
+    var out = [];
+    var sock = {readyState: 1, close: function() {}};
+
+    sock.send = function(data) {
+        out.push(new Uint8Array(data));
+    };
+    server.accept(sock);
+    sock.onmessage({data: rpc.codec.encode(frame)});
+    return out;
+}
+
+// codec
+
+test('spec vectors of encode and decode', function() {
+    var vectors = [
+        [null, 'c0'], [false, 'c2'], [true, 'c3'],
+        [0, '00'], [127, '7f'], [128, 'cc80'], [255, 'ccff'],
+        [256, 'cd0100'], [65535, 'cdffff'], [65536, 'ce00010000'],
+        [4294967295, 'ceffffffff'], [4294967296, 'cf0000000100000000'],
+        [-1, 'ff'], [-32, 'e0'], [-33, 'd0df'], [-128, 'd080'],
+        [-129, 'd1ff7f'], [-32768, 'd18000'], [-32769, 'd2ffff7fff'],
+        [-2147483648, 'd280000000'], [-2147483649, 'd3ffffffff7fffffff'],
+        [0.5, 'ca3f000000'], [0.1, 'cb3fb999999999999a'],
+        ['', 'a0'], ['a', 'a161'], [new Uint8Array([1, 2]), 'c4020102'],
+        [[1, 2], '920102'], [{a: 1}, '81a16101']
+    ];
+
+    vectors.forEach(function(v) {
+        assert.strictEqual(hex(rpc.codec.encode(v[0])), v[1], String(v[0]));
+        assert.deepStrictEqual(decode(bytes_of(v[1])), v[0], v[1]);
+    });
+});
+
+test('str and array headers at their boundaries', function() {
+    var s31 = new Array(32).join('x'), s32 = s31 + 'x';
+    var s256 = new Array(257).join('x'), a16 = new Array(16).fill(0);
+
+    assert.strictEqual(hex(rpc.codec.encode(s31)).slice(0, 2), 'bf');
+    assert.strictEqual(hex(rpc.codec.encode(s32)).slice(0, 4), 'd920');
+    assert.strictEqual(hex(rpc.codec.encode(s256)).slice(0, 6), 'da0100');
+    assert.strictEqual(hex(rpc.codec.encode(a16.slice(1))).slice(0, 2), '9f');
+    assert.strictEqual(hex(rpc.codec.encode(a16)).slice(0, 6), 'dc0010');
+    assert.strictEqual(round_trip(s256), s256);
+    assert.strictEqual(decode(bytes_of('da0001' + '61')), 'a');
+    assert.strictEqual(decode(bytes_of('db00000001' + '61')), 'a');
+});
+
+test('int64 boundaries as BigInt', function() {
+    var max = BigInt('18446744073709551615');
+
+    assert.strictEqual(hex(rpc.codec.encode(max)), 'cfffffffffffffffff');
+    assert.strictEqual(hex(rpc.codec.encode(-BigInt('9223372036854775808'))),
+                       'd38000000000000000');
+    assert.throws(function() {
+                      rpc.codec.encode(BigInt('18446744073709551616'));
+                  });
+    // Number loses precision beyond 2^53
+    assert.strictEqual(decode(bytes_of('cf0020000000000000')), 9007199254740992);
+    // a server with bigint option echoes it without loss
+    assert.ok(/cfffffffffffffffff$/.test(hex(serve({bigint: 'always'},
+                                                   [0, 1, 'echo', [max]])[0])));
+    assert.ok(/cf0020000000000001$/.test(hex(serve({bigint: 'unsafe'},
+                                                   [0, 1, 'echo', [BigInt('9007199254740993')]])[0])));
+});
+
+test('Timestamp extension of 32, 64 and 96 bits', function() {
+    var vectors = [
+        [new Date(1000), 'd6ff00000001'],
+        [new Date(1500), 'd7ff7735940000000001'],
+        [new Date(-1000), 'c70cff00000000ffffffffffffffff'],
+        [new Date(17179869184000), 'c70cff000000000000000400000000']
+    ];
+
+    vectors.forEach(function(v) {
+        assert.strictEqual(hex(rpc.codec.encode(v[0])), v[1]);
+        assert.strictEqual(decode(bytes_of(v[1])).getTime(), v[0].getTime());
+    });
+});
+
+test('extensions, typed arrays, Map and Set', function() {
+    var ext = round_trip(new rpc.ext(5, new Uint8Array([1, 2, 3])));
+    var f = round_trip(new Float32Array([1.5, -2.25]));
+    var b = round_trip(new BigInt64Array([BigInt(-5)]));
+    var set = round_trip(new Set([1, 'a']));
+
+    assert.strictEqual(hex(rpc.codec.encode(new rpc.ext(5, new Uint8Array([9])))),
+                       'd40509');
+    assert.strictEqual(ext.type, 5);
+    assert.deepStrictEqual(Array.from(ext.data), [1, 2, 3]);
+    assert.ok(f instanceof Float32Array);
+    assert.deepStrictEqual(Array.from(f), [1.5, -2.25]);
+    assert.deepStrictEqual(Array.from(b), [BigInt(-5)]);
+    assert.ok(set instanceof Set);
+    assert.deepStrictEqual(Array.from(set), [1, 'a']);
+    assert.deepStrictEqual(round_trip(new Map([['k', 1]])), {k: 1});
+});
+
+test('feeds split at every byte', function() {
+    var value = [0, 4294967295, 'str' + new Array(40).join('x'), {k: [1.5, null]},
+                 new Uint8Array(300), new Date(1500), -2147483649];
+    var bytes = rpc.codec.encode(value), decoder, v, i;
+
+    for (i = 1; i < bytes.length; i++) {
+        decoder = rpc.codec.decoder();
+        decoder.feed(bytes.slice(0, i));
+        assert.strictEqual(decoder.next(), undefined, 'split at ' + i);
+        decoder.feed(bytes.slice(i));
+        assert.deepStrictEqual(decoder.next(), value, 'split at ' + i);
+    }
+    decoder = rpc.codec.decoder();
+    for (i = 0; i < bytes.length; i++) {
+        decoder.feed(bytes.slice(i, i + 1));
+        v = decoder.next();
+    }
+    assert.deepStrictEqual(v, value);
+    // values in one feed come one by one
+    decoder = rpc.codec.decoder();
+    decoder.feed(Buffer.concat([Buffer.from(bytes), Buffer.from(rpc.codec.encode(7))]));
+    assert.deepStrictEqual(decoder.next(), value);
+    assert.strictEqual(decoder.next(), 7);
+    assert.strictEqual(decoder.next(), undefined);
+});
+
+test('invalid bytes throw from next', function() {
+    var decoder = rpc.codec.decoder();
+
+    decoder.feed(bytes_of('c1'));
+    assert.throws(function() {
+                      decoder.next();
+                  });
+});
+
+// server with the old raw format
+
+test('raw format has no str8 and bin', function() {
+    var s32 = new Array(33).join('x');
+    var out = serve({raw: 'string'}, [0, 1, 'echo', [s32]]);
+
+    // raw16 header, since the old format has no str8
+    assert.ok(hex(out[0]).indexOf('da0020') > 0);
+    // bin is packed as raw too
+    out = serve({raw: 'string'}, [0, 1, 'echo', [new Uint8Array([1, 2])]]);
+    assert.ok(/a20102$/.test(hex(out[0])));
+    // keys of map are strings with raw binary
+    out = serve({raw: 'binary'}, [0, 1, 'echo', [{name: 'x'}]]);
+    assert.deepStrictEqual(decode(out[0]), [1, 1, null, {name: 'x'}]);
+});
+
+// client and the stand-in server
+
+function start_server() {
+    return new Promise(function(resolve, reject) {
+        var proc = child_process.spawn(process.execPath,
+                                       [path.join(__dirname, 'msgpack.rpc.tcpserver.js'), '0']);
+
+        proc.stdout.once('data', function(data) {
+            var m = /tcp:\/\/[^\s]+/.exec(String(data));
+
+            if (m) {
+                resolve({proc: proc, uri: m[0]});
+            } else {
+                proc.kill();
+                reject(new Error('server did not start: ' + data));
+            }
+        });
+        proc.once('error', reject);
+    });
+}
+
+test('client and the stand-in server over tcp', function() {
+    return start_server().then(function(server) {
+        var client = rpc.client(server.uri, {});
+        var value = {list: [1, 'a', null], bin: new Uint8Array([1]), at: new Date(1500)};
+
+        function done() {
+            client.disconnect();
+            server.proc.kill();
+        }
+
+        return Promise.all([
+            client.call('add', [1, 2]),
+            client.call('echo', [value]),
+            client.call('fail', ['boom']).then(null, function(e) {
+                                                     return e;
+                                                 }),
+            client.call('sleep', [1000], {timeout: 50}).then(null, function(e) {
+                                                                   return e;
+                                                               }),
+            client.proxy().sleep(10)
+        ]).then(function(r) {
+                    assert.strictEqual(r[0], 3);
+                    assert.deepStrictEqual(r[1], value);
+                    assert.ok(r[2] instanceof rpc.errors.remote);
+                    assert.strictEqual(r[2].message, 'boom');
+                    assert.ok(r[3] instanceof rpc.errors.timeout);
+                    assert.strictEqual(r[4], 10);
+                    assert.strictEqual(client.pending(), 0);
+                    done();
+                }, function(x) {
+                    done();
+                    throw x;
+                });
+    });
+});
+
+function run(i, failed) {
+    var t = tests[i];
+
+    if (!t) {
+        console.log((tests.length - failed) + '/' + tests.length + ' passed');
+        process.exitCode = failed ? 1 : 0;
+        return;
+    }
+    new Promise(function(resolve) {
+                    resolve(t.fn());
+                }).then(function() {
+                            console.log('ok ' + t.name);
+                            run(i + 1, failed);
+                        }, function(x) {
+                            console.log('not ok ' + t.name + '\n  ' + x.stack);
+                            run(i + 1, failed + 1);
+                        });
+}
+
+run(0, 0);